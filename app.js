@@ -1,192 +1,699 @@
-/* Minimal full client app: data model + scheduler + UI (localStorage) */
-
-const store = {
-  cfg: { periods: 6, days: 6, lunchAt: 3, weekStart: isoMonday(new Date()) },
-  teachers: [],        // {id,name,code,maxPerDay,maxPerWeek,avoidConsec}
-  subjects: [],        // {id,name,code}
-  classes: [],         // {id,name}
-  loads: [],           // {classId,subjectId,ppw}
-  canTeach: [],        // {teacherId,subjectId}
-  availability: []     // {teacherId, day, period, available}
-};
+/* Minimal full client app: UI over the store kept in localStorage, optionally shared with others through
+   server.js. The data model, scheduler, file formats and sync rules are DOM-free modules, also used by cli.js,
+   server.js and the tests */
+
+import { availabilityKey, isBreak, dayLength, isTeachingSlot, lunchIndex, periodName, periodLabel, periodIndex,
+  cycleWeeks, cycleDays, weekOf, weekName, cycleDayOf, diagnoseSchedule, loadBlocks, loadClassIds, loadParts, allowedPeriodMask,
+  roomTypeOf, partSize, DEFAULT_WEIGHTS, PENALTY_LABELS, SKILL_LEVELS, skillPriority, scoreTimetable, compareTimetables, solveSchedule } from './scheduler.js';
+import { SCHEMA_VERSION, validateStore, readStore, MERGE_KINDS, mergeKey, mergeStore } from './schema.js';
+import { parseCSV, sameText, CSV_KINDS, guessMapping, planImport, applyImport } from './csv.js';
+import { lessonsCSV, timetableICS } from './export.js';
+import { nextId, isoMonday, blankStore, TERM_LISTS, ensureAvailability, remapPeriods, schedulerInput, demoStore } from './model.js';
+import { syncKey, allowedChange, visibleTo, toShared, fromShared, canonical, sharedEntities, diffShared, applyChanges, renumber, describeChange } from './sync.js';
+
+const store = blankStore(); // fields are listed in model.js
+const BLANK_STORE = JSON.stringify(store); // what Clear All goes back to
+
+let ttSel = null; // selected lesson cell in the timetable grid: {classId, day, period}
+let ttView = { view:'class', teacherId:0, classId:0, subjectId:0, week:-1 }; // timetable view + filters (0 = all, week -1 = whole cycle)
+let coverDate = new Date().toISOString().slice(0,10); // date shown in the cover card
+let importDraft = null; // {name, data, from, errors, replaceErrors} while an import is being previewed
+let bulkDraft = null; // {kind, rows, mapping, plan} from the last CSV preview
+let loadEdit = null; // {classId, subjectId} of the load filled in by editLoad; Save Load moves it if either is changed
+const UNDO_LIMIT = 50, LOG_LIMIT = 500;
+const undoState = { undo: [], redo: [], saved: null }; // undo/redo: [{label, json}]; saved: the store as last written
+let availView = { teacherId: 0, brush: 'on' }; // teacher shown in the availability card, and the state it paints
+let availPaint = null; // {tid, state, n} while the mouse button is held on the availability grid
+let availIndex = { list: null, size: 0, map: new Map() }; // see availRecord
+const AVAIL_STATES = { on: 'Available', avoid: 'Prefer not', off: 'Unavailable' };
+const AVAIL_CHARS = { on: '1', avoid: '~', off: '0' }; // how a state is written in a preset
+const AVAIL_CELL_TEXT = { on: 'On', avoid: 'Prefer not', off: 'Off' };
+const SYNC_EVERY = 5000; // ms between checks for other editors' changes
+// Connection to a shared server (see Shared server below): base is the shared store as last agreed with the
+// server, revs its revisions ("kind/key" -> n); conflicts: [{kind, key, what, who, mine}]
+const sync = { url: '', key: '', user: null, version: 0, revs: {}, base: null, conflicts: [], status: '', busy: false, again: false, timer: null, pushTimer: null };
 
 // ---------- Utilities ----------
-function save() { localStorage.setItem('tt-data', JSON.stringify(store)); }
+// save(label) records an edit: the store as it was goes on the undo stack and the label on the change log.
+// Without a label only view state changed (the shown timetable), which is stored but not logged.
+function save(label){
+  if (label && !teacherMayKeep()) return;
+  const json = JSON.stringify(store);
+  if (label && undoState.saved!=null && json!==undoState.saved){
+    undoState.undo.push({ label, json: undoState.saved });
+    if (undoState.undo.length > UNDO_LIMIT) undoState.undo.shift();
+    undoState.redo = [];
+    logChange(label);
+  }
+  undoState.saved = json;
+  localStorage.setItem('tt-data', json);
+  renderHistory();
+  syncSoon();
+}
 function load() {
   const raw = localStorage.getItem('tt-data');
   if (!raw) return;
-  try {
-    const data = JSON.parse(raw);
-    Object.assign(store, data);
-  } catch {}
+  const { data, errors } = readStore(raw);
+  if (!data){
+    // unreadable: start empty, but keep the old data so it can be downloaded and repaired
+    localStorage.setItem('tt-data-backup', raw);
+    importDraft = { name:'saved data', errors, broken:true };
+    return;
+  }
+  Object.assign(store, data);
+  if (errors.length) importDraft = { name:'saved data', errors, damaged:true };
 }
-function nextId(arr){ return arr.length ? Math.max(...arr.map(x=>x.id||0))+1 : 1; }
-function isoMonday(d){
-  const dd = new Date(d); const day = (dd.getDay()+6)%7; dd.setDate(dd.getDate()-day);
-  dd.setHours(0,0,0,0); return dd.toISOString().slice(0,10);
+const entityName = (list, id) => store[list].find(x=>x.id===id)?.name || '?';
+// Text for innerHTML: names, notes and labels are typed by users (or arrive from other editors) and may hold markup
+const esc = (s) => String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+// "Mon", or "Mon B" for a day in week B of a rotation cycle
+function dayName(d, cfg = store.cfg){
+  const name = ['Mon','Tue','Wed','Thu','Fri','Sat','Sun'][d % cfg.days];
+  return cycleWeeks(cfg) > 1 ? `${name} ${weekName(weekOf(cfg, d))}` : name;
+}
+function download(filename, text, type){
+  const blob = new Blob([text], {type});
+  const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = filename; a.click();
 }
-function dayName(d){ return ['Mon','Tue','Wed','Thu','Fri','Sat','Sun'][d] }
-function availabilityKey(tid, d, p){ return `${tid}-${d}-${p}` }
 
 // ---------- Bootstrap ----------
 load();
+loadSync();
 initDefaultsIfEmpty();
+undoState.saved = JSON.stringify(store);
 hookUI();
 renderAll();
+syncStart();
 
 function initDefaultsIfEmpty(){
-  if (!store.cfg) store.cfg = { periods:6, days:6, lunchAt:3, weekStart: isoMonday(new Date()) };
+  if (!store.cfg) store.cfg = blankStore().cfg;
+  store.weights = { ...DEFAULT_WEIGHTS, ...store.weights };
+  if (!Array.isArray(store.rooms)) store.rooms = [];
+  if (!Array.isArray(store.roomAvailability)) store.roomAvailability = [];
+  if (!Array.isArray(store.pins)) store.pins = [];
+  if (!Array.isArray(store.absences)) store.absences = [];
+  if (!Array.isArray(store.covers)) store.covers = [];
+  if (!Array.isArray(store.availPresets)) store.availPresets = [];
+  if (!Array.isArray(store.timetables)) store.timetables = [];
+  if (!Array.isArray(store.terms)) store.terms = [];
+  if (!store.terms.some(t=>t.id===store.activeTerm)) store.activeTerm = store.terms[0]?.id ?? null;
+  if (!termTimetables().some(t=>t.id===store.activeTimetable)) store.activeTimetable = termTimetables().at(-1)?.id ?? null;
   // Ensure availability matrix exists for each teacher
-  for (const t of store.teachers) ensureDefaultAvailabilityForTeacher(t.id);
+  for (const t of store.teachers) ensureAvailability(store, t.id);
 }
 
-// ---------- Availability helpers ----------
-function ensureDefaultAvailabilityForTeacher(teacherId){
-  const set = new Set(store.availability.map(a=>availabilityKey(a.teacherId,a.day,a.period)));
-  for (let d=0; d<store.cfg.days; d++){
-    for (let p=0; p<store.cfg.periods; p++){
-      if (store.cfg.lunchAt!=null && p===store.cfg.lunchAt) continue;
-      const k = availabilityKey(teacherId,d,p);
-      if (!set.has(k)){
-        store.availability.push({ teacherId, day:d, period:p, available:true });
-      }
-    }
-  }
+// ---------- Undo, redo and history ----------
+// Put the store back to a JSON state taken earlier (undo stack or snapshot)
+function restoreStore(json){
+  for (const k of Object.keys(store)) delete store[k];
+  Object.assign(store, JSON.parse(json));
+  ttSel = null;
+}
+function undo(){
+  const step = undoState.undo.pop(); if (!step) return;
+  undoState.redo.push({ label: step.label, json: undoState.saved });
+  restoreStore(step.json); logChange(`Undo: ${step.label}`); save(); renderAll();
+}
+function redo(){
+  const step = undoState.redo.pop(); if (!step) return;
+  undoState.undo.push({ label: step.label, json: undoState.saved });
+  restoreStore(step.json); logChange(`Redo: ${step.label}`); save(); renderAll();
 }
 
-// ---------- Scheduler (backtracking with heuristics) ----------
-function generateSchedule(opts){
-  const cfg = store.cfg;
-  const hard = { noDoubleBooking: opts.hDouble, honorAvailability: opts.hAvail };
-  const soft = { avoidConsecutive: opts.sConsec, balanceTeacherLoad: opts.sBalance };
-
-  // demands: per class & subject, remaining periods this week
-  const demand = store.loads.map(l => ({ classId:l.classId, subjectId:l.subjectId, remaining:l.ppw }));
-  if (demand.length === 0) throw new Error("No class loads defined.");
-
-  // Slots per class
-  const slots = [];
-  for (const c of store.classes){
-    for (let d=0; d<cfg.days; d++){
-      for (let p=0; p<cfg.periods; p++){
-        if (cfg.lunchAt!=null && p===cfg.lunchAt) continue;
-        slots.push({day:d, period:p, classId:c.id});
+// Change log and snapshots live in their own localStorage keys, so they survive Clear All and imports
+const editorName = () => sync.user?.name || localStorage.getItem('tt-user') || 'local';
+function readList(key){
+  try { return JSON.parse(localStorage.getItem(key)) || []; } catch { return []; }
+}
+function logChange(what, who = editorName()){
+  const log = readList('tt-log');
+  log.push({ at: new Date().toISOString(), who, what });
+  localStorage.setItem('tt-log', JSON.stringify(log.slice(-LOG_LIMIT)));
+}
+// False when the browser has no room left for it
+function takeSnapshot(name){
+  const list = readList('tt-snapshots');
+  list.push({ id: nextId(list), name, at: new Date().toISOString(), who: editorName(), data: JSON.stringify(store) });
+  try { localStorage.setItem('tt-snapshots', JSON.stringify(list)); } catch { return false; }
+  logChange(`Snapshot ${name}`);
+  return true;
+}
+window.restoreSnapshot = (id) => {
+  const snap = readList('tt-snapshots').find(x=>x.id===id); if (!snap) return;
+  // snapshots from older versions are migrated like any saved data
+  const { data, errors } = readStore(snap.data);
+  if (!data) return msg('historyMsg', `Snapshot "${snap.name}" cannot be read: ${errors[0]}`, 4000, true);
+  restoreStore(JSON.stringify(data)); initDefaultsIfEmpty(); save(`Restore snapshot ${snap.name}`); renderAll();
+  msg('historyMsg', `Restored "${snap.name}". Undo goes back.`, 3000);
+};
+window.deleteSnapshot = (id) => {
+  const list = readList('tt-snapshots');
+  const snap = list.find(x=>x.id===id);
+  if (!snap || !confirm(`Delete snapshot "${snap.name}"?`)) return;
+  localStorage.setItem('tt-snapshots', JSON.stringify(list.filter(x=>x!==snap)));
+  renderHistory();
+};
+
+// What deleting an entity takes with it, as "3 skills"; [] when nothing refers to it
+function deleteCascade(kind, id){
+  const count = (n, one, many) => n ? [`${n} ${n===1 ? one : many}`] : [];
+  const all = (k) => termHolders().flatMap(h=>h[k]); // loads and pins of every term
+  if (kind==='teacher') return [
+    ...count(store.canTeach.filter(x=>x.teacherId===id).length, 'skill', 'skills'),
+    ...count(all('pins').filter(x=>(x.teacherIds || [x.teacherId]).includes(id)).length, 'pinned lesson', 'pinned lessons'),
+    ...count(store.absences.filter(a=>a.teacherId===id).length, 'absence', 'absences'),
+    ...count(store.covers.filter(c=>c.teacherId===id).length, 'cover record', 'cover records')];
+  if (kind==='subject') return [
+    ...count(all('loads').filter(l=>l.subjectId===id).length, 'load', 'loads'),
+    ...count(all('loads').filter(l=>l.subjectId!==id && l.groups?.some(g=>g.subjectId===id)).length, 'parallel group', 'parallel groups'),
+    ...count(store.canTeach.filter(x=>x.subjectId===id).length, 'skill', 'skills'),
+    ...count(all('pins').filter(x=>x.subjectId===id).length, 'pinned lesson', 'pinned lessons')];
+  if (kind==='class') return [
+    ...count(all('loads').filter(l=>l.classId===id).length, 'load', 'loads'),
+    ...count(all('loads').filter(l=>l.combineWith?.includes(id)).length, 'combined lesson', 'combined lessons'),
+    ...count(all('pins').filter(x=>x.classId===id).length, 'pinned lesson', 'pinned lessons')];
+  if (kind==='room') return [
+    ...count(all('pins').filter(x=>(x.roomIds || [x.roomId]).includes(id)).length, 'room on a pinned lesson', 'room on pinned lessons'),
+    ...count(store.roomAvailability.filter(a=>a.roomId===id && !a.available).length, 'closed period', 'closed periods')];
+  return [];
+}
+// Asks only when the delete reaches further than the entity itself
+function confirmDelete(kind, id, name){
+  const lost = deleteCascade(kind, id);
+  const field = { teacher:'teacherId', subject:'subjectId', class:'classId', room:'roomId' }[kind];
+  const kept = store.timetables.reduce((n, t)=>n + t.rows.filter(r=>r[field]===id).length, 0);
+  if (!lost.length && !kept) return true;
+  return confirm(`Delete ${kind} ${name}?`
+    + (lost.length ? `\nThis also deletes ${lost.join(', ')}.` : '')
+    + (kept ? `\n${kept} lesson(s) in saved timetables keep it and will show "?".` : '')
+    + '\nUndo (Ctrl+Z) brings everything back.');
+}
+
+function renderHistory(){
+  const d = document;
+  const u = undoState.undo.at(-1), r = undoState.redo.at(-1);
+  d.getElementById('btnUndo').disabled = !u;
+  d.getElementById('btnUndo').title = u ? `Undo: ${u.label} (Ctrl+Z)` : 'Nothing to undo';
+  d.getElementById('btnRedo').disabled = !r;
+  d.getElementById('btnRedo').title = r ? `Redo: ${r.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+  const snaps = readList('tt-snapshots');
+  d.getElementById('snapshotList').innerHTML = snaps.length
+    ? snaps.slice().reverse().map(x => `
+    <div class="row" style="justify-content:space-between; border-top:1px dashed #e5e7eb; padding-top:6px; margin-top:6px;">
+      <div><b>${esc(x.name)}</b> <span class="muted">${new Date(x.at).toLocaleString()} · ${esc(x.who)}</span></div>
+      <div class="row"><button class="ghost" onclick="restoreSnapshot(${x.id})">Restore</button><button class="ghost" onclick="deleteSnapshot(${x.id})">Delete</button></div>
+    </div>`).join('')
+    : '<span class="muted">No snapshots yet.</span>';
+  const log = readList('tt-log');
+  d.getElementById('changeLog').innerHTML = log.length
+    ? log.slice(-100).reverse().map(e => `<div>${new Date(e.at).toLocaleString()} · <b>${esc(e.who)}</b> · ${esc(e.what)}</div>`).join('')
+    : '<span class="muted">No changes yet.</span>';
+}
+
+// ---------- Shared server ----------
+// Optional, see server.js. Every edit is saved in this browser first, as without a server, and sent in the
+// background: what goes out is always diffShared(sync.base, this store), so edits made offline are sent once
+// the server can be reached again. Other editors' changes are fetched every few seconds.
+function loadSync(){
+  try { Object.assign(sync, JSON.parse(localStorage.getItem('tt-sync')) || {}); } catch {}
+}
+function saveSync(){
+  const { url, key, user, version, revs, base, conflicts } = sync;
+  localStorage.setItem('tt-sync', JSON.stringify(key ? { url, key, user, version, revs, base, conflicts } : {}));
+}
+function syncOn(){ return !!(sync.key && sync.base); }
+// A teacher's browser fills in availability of the teachers it is not shown; that is not sent
+function pendingChanges(){
+  return syncOn() ? diffShared(sync.base, toShared(store)).filter(c=>c.value==null || visibleTo(sync.user, c.kind, c.value)) : [];
+}
+
+// {status, body} of one API call; throws when the server cannot be reached
+async function syncFetch(method, path, body){
+  const res = await fetch(`${sync.url}/api/${path}`, { method,
+    headers: { Authorization: `Bearer ${sync.key}`, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+    body: body ? JSON.stringify(body) : undefined });
+  return { status: res.status, body: await res.json().catch(()=>({})) };
+}
+
+// Puts a shared store in place of this one, keeping the term and timetable this browser shows
+function adoptShared(shared){
+  const { activeTerm, activeTimetable } = store;
+  restoreStore(JSON.stringify(fromShared(shared, activeTerm, activeTimetable)));
+  initDefaultsIfEmpty();
+  undoState.saved = JSON.stringify(store);
+  localStorage.setItem('tt-data', undoState.saved);
+}
+
+// Signed in as a teacher, only edits of their own availability are kept; anything else is put back
+function teacherMayKeep(){
+  if (sync.user?.role!=='teacher' || undoState.saved==null) return true;
+  const before = toShared(JSON.parse(undoState.saved)), old = sharedEntities(before);
+  if (diffShared(before, toShared(store)).every(c=>allowedChange(sync.user, c, old.get(`${c.kind}/${c.key}`)?.value ?? null))) return true;
+  restoreStore(undoState.saved); renderAll();
+  msg('syncMsg', 'Signed in as a teacher: only your own availability can be changed.', 4000, true);
+  return false;
+}
+
+// Takes in other editors' changes (fetched, or sent back as conflicts). Where this browser has an unsent edit of
+// the same entity, the server's version wins and the edit is listed as a conflict, to be applied again or
+// dropped; an entity created here under an id someone else took meanwhile moves to a free id instead.
+function takeRemote(changes){
+  const local = toShared(store), seen = sharedEntities(sync.base);
+  let mine = sharedEntities(local);
+  const value = (map, id) => map.get(id)?.value ?? null;
+  const unchanged = (k, x) => canonical(x)===canonical(value(seen, `${k}/${syncKey(k, x)}`));
+  const taken = [];
+  let queue = []; // taken, not yet applied to local
+  for (const c of changes){
+    const id = `${c.kind}/${c.key}`, x = value(mine, id);
+    const was = canonical(value(seen, id)), own = canonical(x), theirs = canonical(c.value);
+    sync.revs[id] = c.rev;
+    if (was===theirs) continue; // an edit of ours coming back; a newer one here is still to be sent
+    if (was!==own && own!==theirs){
+      sync.conflicts = sync.conflicts.filter(y=>`${y.kind}/${y.key}`!==id);
+      if (was==='null' && x && c.value && typeof x.id==='number' && c.kind!=='settings'){
+        applyChanges(local, queue); queue = [];
+        const ids = [...local[c.kind], ...sync.base[c.kind], ...changes.filter(y=>y.kind===c.kind && y.value).map(y=>y.value)].map(y=>y.id);
+        renumber(local, c.kind, x.id, Math.max(...ids) + 1, unchanged);
+        mine = sharedEntities(local);
+      } else {
+        sync.conflicts.push({ kind: c.kind, key: c.key, what: describeChange(local, { kind: c.kind, key: c.key, value: value(seen, id) || x }), who: c.who || null, mine: x });
       }
     }
+    for (const map of [mine, seen]) c.value==null ? map.delete(id) : map.set(id, { kind: c.kind, key: c.key, value: c.value });
+    taken.push(c); queue.push(c);
+  }
+  if (!taken.length) return;
+  applyChanges(local, queue); applyChanges(sync.base, taken);
+  adoptShared(local);
+  // undo and redo go on from the shared data: they take back this browser's edits, not other people's
+  for (const step of [...undoState.undo, ...undoState.redo]){
+    const s = JSON.parse(step.json);
+    step.json = JSON.stringify(fromShared(applyChanges(toShared(s), taken), s.activeTerm, s.activeTimetable));
+  }
+  // one change log line per editor
+  const by = new Map();
+  for (const c of taken){
+    if (!by.has(c.who)) by.set(c.who, new Set());
+    by.get(c.who).add(describeChange(local, c));
   }
+  for (const [who, what] of by){
+    const list = [...what];
+    logChange(list.length > 4 ? `${list.slice(0, 4).join(', ')} and ${list.length - 4} more` : list.join(', '), who || 'someone');
+  }
+  renderAll();
+}
 
-  // Availability lookup
-  const avail = new Set();
-  for (const a of store.availability) if (a.available) avail.add(availabilityKey(a.teacherId,a.day,a.period));
+// False when the server would not answer; sync.status says why
+async function syncPull(){
+  const { status, body } = await syncFetch('GET', `changes?since=${sync.version}`);
+  if (status!==200) return syncRefused(status, body);
+  if (!body.reset){
+    takeRemote(body.changes);
+  } else {
+    // too far behind for the server's log: whatever differs from the whole store
+    const full = await syncFetch('GET', 'store');
+    if (full.status!==200) return syncRefused(full.status, full.body);
+    takeRemote(diffShared(sync.base, full.body.store).map(c=>({ ...c, rev: full.body.revs[`${c.kind}/${c.key}`] || 0 })));
+    sync.revs = { ...full.body.revs };
+  }
+  sync.version = body.version;
+  return true;
+}
 
-  // Can-teach map
-  const canTeach = new Map();
-  for (const ts of store.canTeach){
-    if (!canTeach.has(ts.teacherId)) canTeach.set(ts.teacherId, new Set());
-    canTeach.get(ts.teacherId).add(ts.subjectId);
+// False when the edits did not go through (a conflict is taken in, to be pushed again)
+async function syncPush(){
+  const changes = pendingChanges();
+  if (!changes.length) return true;
+  for (const c of changes) c.rev = sync.revs[`${c.kind}/${c.key}`] || 0;
+  const { status, body } = await syncFetch('POST', 'changes', { schemaVersion: SCHEMA_VERSION, changes });
+  if (status===200){
+    applyChanges(sync.base, changes);
+    Object.assign(sync.revs, body.revs);
+    return true;
   }
+  if (status===409 && body.conflicts){ takeRemote(body.conflicts); return false; }
+  return syncRefused(status, body);
+}
 
-  const teachersById = new Map(store.teachers.map(t=>[t.id,t]));
-  const assigned = new Map(); // key: `${day}-${period}-${classId}` -> {subjectId, teacherId}
-  const tDayLoad = new Map(); // `${tId}-${day}` -> n
-  const tWeekLoad = new Map(); // tId -> n
-  const lastPeriodByTeacherClass = new Map(); // `${tId}-${classId}-${day}` -> last period
+// The server said no. Edits it will never take (not allowed, or leaving the data invalid) are kept in a
+// snapshot and this browser goes back to the shared data.
+function syncRefused(status, body){
+  sync.status = body.error || `server error ${status}`;
+  if (status===403 || status===422){
+    takeSnapshot(`Refused by the server ${new Date().toLocaleString()}`);
+    adoptShared(structuredClone(sync.base)); renderAll();
+    msg('syncMsg', `${sync.status} ${(body.errors || []).slice(0, 3).join('; ')} Your edits were saved as a snapshot.`, 10000, true);
+  }
+  return false;
+}
 
-  function kSlot(s){ return `${s.day}-${s.period}-${s.classId}` }
+async function syncTick(){
+  if (!syncOn()) return;
+  if (sync.busy){ sync.again = true; return; }
+  sync.busy = true;
+  try {
+    // after a conflict, once more with the server's version taken in
+    for (let round=0; round<3; round++){
+      if (!await syncPull()) break;
+      if (await syncPush()){ sync.status = `up to date at ${new Date().toLocaleTimeString()}`; break; }
+    }
+  } catch {
+    sync.status = `server not reachable (tried ${new Date().toLocaleTimeString()}), edits wait here`;
+  } finally {
+    sync.busy = false;
+    saveSync(); renderSync();
+    if (sync.again){ sync.again = false; syncSoon(); }
+  }
+}
+// Edits go out shortly after they are made, several quick ones together
+function syncSoon(){
+  if (!syncOn()) return;
+  clearTimeout(sync.pushTimer);
+  sync.pushTimer = setTimeout(syncTick, 300);
+}
+function syncStart(){
+  clearInterval(sync.timer);
+  if (syncOn()){ sync.timer = setInterval(syncTick, SYNC_EVERY); syncTick(); }
+}
 
-  function teacherOK(tId, day, period, classId, subjectId){
-    const t = teachersById.get(tId);
-    if (!t) return false;
+async function syncConnect(url, key){
+  const before = { url: sync.url, key: sync.key }; // kept when this connection does not work out
+  Object.assign(sync, { url: url.replace(/\/+$/, ''), key });
+  let me, full;
+  try {
+    me = await syncFetch('GET', 'me');
+    if (me.status===200) full = await syncFetch('GET', 'store');
+  } catch {
+    Object.assign(sync, before);
+    return msg('syncMsg', 'The server cannot be reached. Check the address and that server.js is running.', 5000, true);
+  }
+  const problem = me.status!==200 ? me.body.error || `Server error ${me.status}`
+    : full.status!==200 ? full.body.error || `Server error ${full.status}`
+    : full.body.schemaVersion!==SCHEMA_VERSION ? 'The server runs another version of the app.'
+    : full.body.version===0 && me.body.role!=='admin' ? 'The server has no data yet. An admin has to connect first.' : null;
+  const empty = full?.body.version===0;
+  if (problem || !confirm(empty ? 'The server has no data yet. Upload the data in this browser to it?'
+    : 'Replace the data in this browser with the shared data on the server? A snapshot of it is saved first.')){
+    Object.assign(sync, before);
+    return problem && msg('syncMsg', problem, 5000, true);
+  }
+  if (!empty) takeSnapshot(`Before connecting to ${sync.url || location.host}`);
+  Object.assign(sync, { user: me.body, version: full.body.version, revs: full.body.revs, base: full.body.store, conflicts: [], status: '' });
+  if (!empty) adoptShared(structuredClone(sync.base));
+  undoState.undo = []; undoState.redo = []; // they hold this browser's data from before
+  if (sync.user.role==='teacher'){
+    availView.teacherId = sync.user.teacherId;
+    ttView = { ...ttView, view: 'teacher', teacherId: sync.user.teacherId };
+  }
+  saveSync(); renderAll(); syncStart();
+  msg('syncMsg', `Connected as ${sync.user.name}.`, 3000);
+}
+function syncDisconnect(){
+  const waiting = pendingChanges().length;
+  if (waiting && !confirm(`${waiting} change(s) have not reached the server yet. Disconnect anyway? They stay in this browser.`)) return;
+  clearInterval(sync.timer);
+  Object.assign(sync, { key: '', user: null, version: 0, revs: {}, base: null, conflicts: [], status: '' });
+  saveSync(); renderAll();
+}
 
-    // subject skill
-    if (!canTeach.get(tId) || !canTeach.get(tId).has(subjectId)) return false;
+window.keepMine = (i) => {
+  const c = sync.conflicts[i]; if (!c) return;
+  sync.conflicts.splice(i, 1);
+  adoptShared(applyChanges(toShared(store), [{ kind: c.kind, key: c.key, value: c.mine }]));
+  save(`Keep my version of ${c.what}`); saveSync(); renderAll();
+};
+window.dropConflict = (i) => { sync.conflicts.splice(i, 1); saveSync(); renderSync(); };
 
-    // hard: availability
-    if (hard.honorAvailability && !avail.has(availabilityKey(tId,day,period))) return false;
+function renderSync(){
+  const d = document;
+  d.body.classList.toggle('teacher-role', sync.user?.role==='teacher');
+  d.getElementById('btnSyncConnect').textContent = syncOn() ? 'Reconnect' : 'Connect';
+  d.getElementById('btnSyncDisconnect').style.display = syncOn() ? '' : 'none';
+  const waiting = pendingChanges().length;
+  d.getElementById('syncStatus').innerHTML = syncOn()
+    ? `Connected to <b>${esc(sync.url || location.host)}</b> as <b>${esc(sync.user.name)}</b> (${esc(sync.user.role)}) · ${waiting ? `${waiting} change(s) to send` : 'nothing to send'}${sync.status ? ` · ${esc(sync.status)}` : ''}`
+    : '<span class="muted">Not connected: this data is only in this browser.</span>';
+  d.getElementById('syncConflicts').innerHTML = sync.conflicts.map((c, i) => `<div class="bad" style="margin-top:6px;">⚠ ${esc(c.who || 'Someone')} changed ${esc(c.what)} while you were editing it; their version is shown now.
+    <button class="ghost" onclick="keepMine(${i})">Use mine</button> <button class="ghost" onclick="dropConflict(${i})">Keep theirs</button></div>`).join('');
+}
 
-    // hard: no double booking same time
-    if (hard.noDoubleBooking){
-      for (const [k,v] of assigned){
-        const [d,p] = k.split('-').map(Number);
-        if (d===day && p===period && v.teacherId===tId) return false;
-      }
+// ---------- Rotation cycle ----------
+// Days are numbered through the cycle, so a new number of days or weeks moves every day-based record to
+// its weekday in the same week. Weeks the cycle gains start as copies of week A (availability and room
+// closures); records of weekdays or weeks that are gone are dropped, pins included.
+function remapCycleDays(from, to){
+  const move = (list, copy) => {
+    const out = [];
+    for (const x of list){
+      const w = weekOf(from, x.day), wd = x.day % from.days;
+      if (wd >= to.days) continue;
+      if (w < cycleWeeks(to)) out.push({ ...x, day: w*to.days + wd });
+      if (copy && w===0) for (let k=cycleWeeks(from); k<cycleWeeks(to); k++) out.push({ ...x, day: k*to.days + wd });
     }
+    return out;
+  };
+  store.availability = move(store.availability, true);
+  store.roomAvailability = move(store.roomAvailability, true);
+  for (const h of termHolders()) h.pins = move(h.pins, false);
+}
 
-    // caps
-    const dlKey = `${tId}-${day}`;
-    const dLoad = (tDayLoad.get(dlKey)||0);
-    const wLoad = (tWeekLoad.get(tId)||0);
-    if (dLoad + 1 > t.maxPerDay) return false;
-    if (wLoad + 1 > t.maxPerWeek) return false;
-
-    // soft: avoid consecutive for same class/day
-    if (soft.avoidConsecutive && t.avoidConsec){
-      const lpKey = `${tId}-${classId}-${day}`;
-      const last = lastPeriodByTeacherClass.get(lpKey);
-      if (last!=null && Math.abs(last-period)===1) return false;
-    }
-    return true;
+// ---------- Terms ----------
+// Each term has its own loads, pins and saved timetables. The active term's lists are the ones in store.loads
+// and store.pins, so everything else edits them as before; the other terms keep theirs until switched to.
+function activeTerm(){ return store.terms.find(t=>t.id===store.activeTerm) || null; }
+// Objects holding a loads and pins list: the store (active term) and every other term
+function termHolders(){ return [store, ...store.terms.filter(t=>t.id!==store.activeTerm)]; }
+function termTimetables(){ return store.timetables.filter(t=>(t.termId ?? null)===(store.activeTerm ?? null)); }
+function timetableTerm(tt){ return store.terms.find(t=>t.id===tt.termId) || null; }
+function termOn(date){ return store.terms.find(t=>t.start<=date && date<=t.end) || null; }
+
+function switchTerm(id){
+  const from = activeTerm(), to = store.terms.find(t=>t.id===id) || null;
+  if (from===to) return;
+  for (const k of TERM_LISTS){
+    if (from) from[k] = store[k];
+    store[k] = to?.[k] || [];
+    if (to) delete to[k];
+  }
+  store.activeTerm = to?.id ?? null;
+  store.activeTimetable = termTimetables().at(-1)?.id ?? null;
+  ttSel = null;
+}
+
+// Start/end problem of a term, or '' when its dates are fine
+function termProblem(start, end, id){
+  if (!start || !end) return 'Give the first and last day of the term.';
+  if (start > end) return 'The term must end after it starts.';
+  const clash = store.terms.find(t=>t.id!==id && t.start<=end && start<=t.end);
+  return clash ? `Overlaps ${clash.name} (${clash.start} – ${clash.end}).` : '';
+}
+
+function renderTerms(){
+  const div = document.getElementById('termList');
+  document.getElementById('termCopyRow').style.display = store.terms.length ? '' : 'none';
+  div.innerHTML = store.terms.length
+    ? store.terms.slice().sort((a,b)=>a.start.localeCompare(b.start)).map(t => {
+      const on = t.id===store.activeTerm;
+      const loads = (on ? store.loads : t.loads || []).length;
+      const versions = store.timetables.filter(x=>x.termId===t.id).length;
+      return `
+    <div class="row" style="justify-content:space-between; border-top:1px dashed #e5e7eb; padding-top:6px; margin-top:6px;">
+      <div><b>${esc(t.name)}</b> <span class="muted">${t.start} – ${t.end} · ${loads} load(s) · ${versions} timetable(s)</span>
+        ${on ? '<span class="pill">Editing</span>' : ''}</div>
+      <div class="row">
+        ${on ? '' : `<button class="ghost" onclick="selectTerm(${t.id})">Switch to</button>`}
+        <button class="ghost" onclick="removeTerm(${t.id})">Delete</button>
+      </div>
+    </div>`;
+    }).join('')
+    : '<span class="muted">No terms: one set of loads all year. Add a term to give each term its own loads and timetables.</span>';
+}
+
+window.selectTerm = (id) => {
+  switchTerm(id);
+  save(`Switch to term ${activeTerm()?.name}`); renderAll();
+};
+window.removeTerm = (id) => {
+  const t = store.terms.find(x=>x.id===id); if (!t) return;
+  const versions = store.timetables.filter(x=>x.termId===id).length;
+  if (!confirm(`Delete term ${t.name} with its loads, pins and ${versions} saved timetable(s)?\nUndo (Ctrl+Z) brings everything back.`)) return;
+  // the last term takes nothing with it: its loads stay as the loads for the whole year
+  if (store.terms.length===1){
+    for (const x of store.timetables) delete x.termId;
+    store.terms = []; store.activeTerm = null;
+  } else {
+    if (id===store.activeTerm) switchTerm(store.terms.find(x=>x.id!==id).id);
+    store.terms = store.terms.filter(x=>x.id!==id);
+    store.timetables = store.timetables.filter(x=>x.termId!==id);
   }
+  save(`Delete term ${t.name}`); renderAll();
+};
 
-  // heuristic: sort most demanding first
-  demand.sort((a,b)=> b.remaining - a.remaining);
+// ---------- Availability helpers ----------
+// "teacherId-day-period" -> record; rebuilt when store.availability is replaced or grows, so lookups need no linear find
+function availRecord(tid, d, p){
+  const list = store.availability;
+  if (availIndex.list!==list || availIndex.size!==list.length)
+    availIndex = { list, size: list.length, map: new Map(list.map(a=>[availabilityKey(a.teacherId,a.day,a.period), a])) };
+  return availIndex.map.get(availabilityKey(tid,d,p));
+}
+// 'on', 'avoid' (available, but "prefer not") or 'off'; a period without a record is off
+function availState(tid, d, p){
+  const a = availRecord(tid, d, p);
+  return !a || !a.available ? 'off' : a.avoid ? 'avoid' : 'on';
+}
+function setAvailState(tid, d, p, state){
+  let a = availRecord(tid, d, p);
+  if (!a){ a = { teacherId:tid, day:d, period:p, available:true }; store.availability.push(a); }
+  a.available = state!=='off';
+  if (state==='avoid') a.avoid = true; else delete a.avoid;
+}
 
-  function backtrack(i){
-    if (i===demand.length) return true;
-    if (demand[i].remaining===0) return backtrack(i+1);
+// ---------- Scheduler (runs scheduler.js in a Web Worker) ----------
+let schedJob = null; // {worker, reject} while a generation is running
 
-    const { classId, subjectId } = demand[i];
+// Resolves with {rows, score, attempts}; onProgress gets {placed,best,total,restarts,attempt,attempts,score,elapsedMs}
+function generateSchedule(opts, onProgress){
+  const data = schedulerInput(store);
+  const runHere = (resolve, reject) => {
+    try { resolve(solveSchedule(data, opts, onProgress)); } catch(e){ reject(e); }
+  };
+  return new Promise((resolve, reject) => {
+    let worker = null;
+    try { worker = new Worker('worker.js', { type:'module' }); } catch {}
+    // no module worker support: solve on the page instead
+    if (!worker){ setTimeout(()=>runHere(resolve, reject), 0); return; }
+    schedJob = { worker, reject };
+    worker.onmessage = (e) => {
+      const m = e.data;
+      if (m.type==='progress'){ if (onProgress) onProgress(m); return; }
+      worker.terminate(); schedJob = null;
+      if (m.type==='done') return resolve(m.result);
+      const err = new Error(m.message); err.report = m.report; reject(err);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault(); worker.terminate(); schedJob = null;
+      runHere(resolve, reject);
+    };
+    worker.postMessage({ data, opts });
+  });
+}
 
-    // free slots for this class
-    const cSlots = slots.filter(s => s.classId===classId && !assigned.has(kSlot(s)));
-    // prefer earlier in the week, then earlier periods
-    cSlots.sort((a,b)=> a.day-b.day || a.period-b.period);
+function cancelSchedule(){
+  if (!schedJob) return;
+  schedJob.worker.terminate();
+  const err = new Error('Generation cancelled.'); err.cancelled = true;
+  schedJob.reject(err); schedJob = null;
+}
 
-    // candidate teachers who can teach this subject
-    let pool = store.teachers.filter(t => canTeach.get(t.id)?.has(subjectId)).map(t=>t.id);
+// ---------- Saved timetables ----------
+function activeTimetable(){ return store.timetables.find(t=>t.id===store.activeTimetable) || null; }
 
-    // balance week load (ascending)
-    if (soft.balanceTeacherLoad){
-      pool.sort((a,b)=> (tWeekLoad.get(a)||0) - (tWeekLoad.get(b)||0));
-    }
+function addTimetable(rows, name){
+  const id = nextId(store.timetables);
+  const tt = { id, name: name || `Version ${id}`, createdAt: new Date().toISOString(), cfg: { ...store.cfg }, rows };
+  if (store.activeTerm!=null) tt.termId = store.activeTerm;
+  store.timetables.push(tt);
+  store.activeTimetable = id;
+  return tt;
+}
 
-    for (const slot of cSlots){
-      for (const tId of pool){
-        if (!teacherOK(tId, slot.day, slot.period, classId, subjectId)) continue;
-
-        // place
-        assigned.set(kSlot(slot), { subjectId, teacherId: tId });
-        const dKey = `${tId}-${slot.day}`;
-        tDayLoad.set(dKey, (tDayLoad.get(dKey)||0) + 1);
-        tWeekLoad.set(tId, (tWeekLoad.get(tId)||0) + 1);
-        lastPeriodByTeacherClass.set(`${tId}-${classId}-${slot.day}`, slot.period);
-        demand[i].remaining--;
-
-        if (backtrack(i)) return true;
-
-        // undo
-        demand[i].remaining++;
-        assigned.delete(kSlot(slot));
-        tDayLoad.set(dKey, (tDayLoad.get(dKey)||1) - 1);
-        tWeekLoad.set(tId, (tWeekLoad.get(tId)||1) - 1);
-      }
+// The timetable's grid with today's week start and bell times, for printouts and calendars
+function publishCfg(tt){
+  return { ...tt.cfg, weekStart: store.cfg.weekStart, bell: store.cfg.bell.length===tt.cfg.periods ? store.cfg.bell : tt.cfg.bell };
+}
+
+const fileName = (name) => name.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'timetable';
+
+// Same teaching slots, lunch and rotation cycle; renamed periods or new bell times do not matter
+function sameCfg(a, b){
+  if (a.periods!==b.periods || a.days!==b.days || cycleWeeks(a)!==cycleWeeks(b) || lunchIndex(a)!==lunchIndex(b)) return false;
+  for (let d=0; d<a.days; d++) for (let p=0; p<a.periods; p++) if (isTeachingSlot(a, d, p)!==isTeachingSlot(b, d, p)) return false;
+  return true;
+}
+
+// Index a timetable's rows by teacher so single lessons can be checked cheaply
+function timetableIndex(rows){
+  const slot = new Map();  // `${tId}-${day}-${period}` -> n
+  const day = new Map();   // `${tId}-${day}` -> n
+  const week = new Map();  // `${tId}-${week of the cycle}` -> n
+  const room = new Map();  // `${roomId}-${day}-${period}` -> n
+  const sessions = new Map(); // `${classId}-${subjectId}-${day}` -> n, a block counts once
+  const seen = new Set();
+  for (const r of rows){
+    const bk = `${r.classId}-${r.subjectId}-${r.block}`;
+    if (r.block==null || !seen.has(bk)){
+      const ck = `${r.classId}-${r.subjectId}-${r.day}`;
+      sessions.set(ck, (sessions.get(ck)||0) + 1);
+      if (r.block!=null) seen.add(bk);
+    }
+    // combined classes share the teacher and the room: count them once per session
+    if (r.block!=null){
+      const tk = `${r.block}-${r.teacherId}-${r.day}-${r.period}`;
+      if (seen.has(tk)) continue;
+      seen.add(tk);
     }
-    return false;
+    const sk = `${r.teacherId}-${r.day}-${r.period}`, dk = `${r.teacherId}-${r.day}`;
+    if (r.roomId!=null){ const rk = `${r.roomId}-${r.day}-${r.period}`; room.set(rk, (room.get(rk)||0) + 1); }
+    slot.set(sk, (slot.get(sk)||0) + 1);
+    day.set(dk, (day.get(dk)||0) + 1);
+    const wk = `${r.teacherId}-${weekOf(store.cfg, r.day)}`;
+    week.set(wk, (week.get(wk)||0) + 1);
   }
+  return { slot, day, week, room, sessions };
+}
 
-  const ok = backtrack(0);
-  if (!ok) throw new Error("Could not satisfy all constraints. Try relaxing limits or increasing availability.");
+// Hard-rule violations of one placed lesson (same rules as blockReason in scheduler.js)
+function lessonIssues(row, idx){
+  const t = store.teachers.find(t=>t.id===row.teacherId);
+  if (!t) return ['Teacher no longer exists'];
+  const issues = [];
+  if (!store.canTeach.some(x=>x.teacherId===t.id && x.subjectId===row.subjectId)) issues.push(`${t.name} is not set up to teach this subject`);
+  if (availState(t.id, row.day, row.period)==='off') issues.push(`${t.name} is not available`);
+  if ((idx.slot.get(`${t.id}-${row.day}-${row.period}`)||0) > 1) issues.push(`${t.name} is double-booked`);
+  const dLoad = idx.day.get(`${t.id}-${row.day}`)||0;
+  if (dLoad > t.maxPerDay) issues.push(`${t.name} has ${dLoad} lessons on ${dayName(row.day)} (max ${t.maxPerDay})`);
+  const w = weekOf(store.cfg, row.day), wLoad = idx.week.get(`${t.id}-${w}`)||0;
+  if (wLoad > t.maxPerWeek) issues.push(`${t.name} has ${wLoad} lessons ${cycleWeeks(store.cfg) > 1 ? `in week ${weekName(w)}` : 'this week'} (max ${t.maxPerWeek})`);
+  if (row.roomId!=null) issues.push(...roomIssues(row, idx));
+  else if (store.rooms.length) issues.push('No room assigned');
+  issues.push(...placementIssues(row, idx));
+  return issues;
+}
 
-  // Return rows for rendering
-  const byClass = new Map(store.classes.map(c=>[c.id,c.name]));
-  const bySub = new Map(store.subjects.map(s=>[s.id,s.name]));
-  const byTeacher = new Map(store.teachers.map(t=>[t.id,t.name]));
-  const rows = [];
-  for (const [k,v] of assigned){
-    const [day, period, classId] = k.split('-').map(Number);
-    rows.push({ day, period, className: byClass.get(classId), subject: bySub.get(v.subjectId), teacher: byTeacher.get(v.teacherId) });
-  }
-  return rows;
+// The load a timetable row belongs to: its class's own, a combined one it sits in, or the one its group is part of
+function loadOf(row){
+  return store.loads.find(l => loadClassIds(l).includes(row.classId)
+    && loadParts(l).some(p => p.subjectId===row.subjectId && (p.name ?? null)===(row.group ?? null)));
+}
+
+// The load's own placement rules: allowed periods, not after lunch, sessions per day
+function placementIssues(row, idx){
+  const l = loadOf(row);
+  if (!l) return [];
+  const sub = store.subjects.find(s=>s.id===row.subjectId)?.name || '?';
+  const issues = [];
+  const lunch = lunchIndex(store.cfg);
+  if (!allowedPeriodMask(store.cfg, l)[row.period]) issues.push(`${sub} is not allowed in ${periodLabel(store.cfg, row.period)}`);
+  if (l.notAfterLunch && lunch!=null && row.period > lunch) issues.push(`${sub} is not allowed after lunch`);
+  const n = idx.sessions.get(`${row.classId}-${row.subjectId}-${row.day}`)||0;
+  if (l.maxPerDay && n > l.maxPerDay) issues.push(`${sub} has ${n} sessions on ${dayName(row.day)} (max ${l.maxPerDay})`);
+  return issues;
+}
+
+function roomIssues(row, idx){
+  const r = store.rooms.find(r=>r.id===row.roomId);
+  if (!r) return ['Room no longer exists'];
+  const issues = [];
+  const type = roomTypeOf(store, row.subjectId);
+  const l = loadOf(row);
+  const size = l ? partSize(store, l, loadParts(l).find(p=>(p.name ?? null)===(row.group ?? null))) : store.classes.find(c=>c.id===row.classId)?.size || 0;
+  if (r.type!==type) issues.push(`${r.name} is a ${r.type}, this subject needs a ${type}`);
+  if (r.capacity && size > r.capacity) issues.push(`${r.name} seats ${r.capacity}, the lesson has ${size} pupils`);
+  if (store.roomAvailability.some(a=>a.roomId===r.id && a.day===row.day && a.period===row.period && !a.available)) issues.push(`${r.name} is not available`);
+  if ((idx.room.get(`${r.id}-${row.day}-${row.period}`)||0) > 1) issues.push(`${r.name} is double-booked`);
+  return issues;
 }
 
 // ---------- UI ----------
@@ -195,22 +702,55 @@ function hookUI(){
   const d = document;
   const cfgW = d.getElementById('cfgWeekStart');
   cfgW.value = store.cfg.weekStart;
-  d.getElementById('cfgPeriods').value = store.cfg.periods;
   d.getElementById('cfgDays').value = store.cfg.days;
-  d.getElementById('cfgLunch').value = store.cfg.lunchAt ?? -1;
+  d.getElementById('cfgDays').onchange = () => renderBellEditor(readBell(), readDayEnds());
+  d.getElementById('cfgWeeks').value = cycleWeeks(store.cfg);
 
   d.getElementById('btnSaveCfg').onclick = () => {
-    const periods = +d.getElementById('cfgPeriods').value;
-    const days = +d.getElementById('cfgDays').value;
-    const lunchVal = +d.getElementById('cfgLunch').value;
-    const weekStart = d.getElementById('cfgWeekStart').value || isoMonday(new Date());
-    store.cfg.periods = Math.max(1, Math.min(12, periods));
-    store.cfg.days = Math.max(1, Math.min(7, days));
-    store.cfg.lunchAt = (isNaN(lunchVal) || lunchVal < 0) ? null : lunchVal;
-    store.cfg.weekStart = weekStart;
-    for (const t of store.teachers) ensureDefaultAvailabilityForTeacher(t.id);
-    save(); msg('cfgMsg', 'Saved.', 1500); renderAvailability(); renderAllTimetable([]);
+    const days = Math.max(1, Math.min(7, +d.getElementById('cfgDays').value || 1));
+    const slots = readBell(), origins = slots.map(b=>b.from ?? null), bell = slots.map(({ from, ...b }) => b);
+    const ends = readDayEnds().slice(0, days);
+    const weeks = +d.getElementById('cfgWeeks').value || 1;
+    const cfg = { ...store.cfg, periods: bell.length, days, bell, weekStart: d.getElementById('cfgWeekStart').value || isoMonday(new Date()) };
+    delete cfg.dayPeriods; delete cfg.weeks;
+    if (ends.some(n=>n < bell.length)) cfg.dayPeriods = Array.from({ length: days }, (_, i) => ends[i] || bell.length);
+    if (weeks > 1) cfg.weeks = weeks;
+    const errors = validateStore({ cfg }, { partial:true }).filter(e=>e.startsWith('cfg'));
+    if (errors.length) return msg('cfgMsg', errors[0], 4000, true);
+    const stranded = remapPeriods(store, cfg, origins);
+    if (cycleDays(cfg)!==cycleDays(store.cfg) || cfg.days!==store.cfg.days) remapCycleDays(store.cfg, cfg);
+    store.cfg = cfg;
+    for (const t of store.teachers) ensureAvailability(store, t.id);
+    save('Change config'); renderAll();
+    if (!stranded.length) return msg('cfgMsg', 'Saved.', 1500);
+    const names = stranded.map(l=>`${entityName('classes', l.classId)} · ${entityName('subjects', l.subjectId)}`);
+    msg('cfgMsg', `Saved. ${names.join(', ')}: none of the periods it was limited to is left, so it cannot be placed until that is changed.`, 8000, true);
   };
+  d.getElementById('btnAddPeriod').onclick = () => addBellSlot();
+
+  // Terms: the first one takes over the loads, pins and timetables made so far
+  d.getElementById('btnAddTerm').onclick = () => {
+    const name = d.getElementById('termName').value.trim();
+    const start = d.getElementById('termStart').value, end = d.getElementById('termEnd').value;
+    if (!name) return msg('termMsg', 'Give the term a name.', 2500, true);
+    if (store.terms.some(t=>t.name.toLowerCase()===name.toLowerCase())) return msg('termMsg', `There is already a term called ${name}.`, 2500, true);
+    const problem = termProblem(start, end);
+    if (problem) return msg('termMsg', problem, 3000, true);
+    const term = { id: nextId(store.terms), name, start, end };
+    if (!store.terms.length){
+      for (const t of store.timetables) t.termId = term.id;
+      store.terms.push(term); store.activeTerm = term.id;
+    } else {
+      const copy = d.getElementById('termCopy').checked;
+      term.loads = copy ? structuredClone(store.loads) : [];
+      term.pins = copy ? structuredClone(store.pins) : [];
+      store.terms.push(term);
+      switchTerm(term.id);
+    }
+    save(`Add term ${name}`); renderAll();
+    d.getElementById('termName').value = ''; msg('termMsg', `Now editing ${name}.`, 2000);
+  };
+  d.getElementById('btnAddBreak').onclick = () => addBellSlot('break');
 
   // Teachers
   d.getElementById('btnAddTeacher').onclick = () => {
@@ -219,42 +759,119 @@ function hookUI(){
     const maxPerDay = +d.getElementById('tMaxDay').value || 4;
     const maxPerWeek = +d.getElementById('tMaxWeek').value || 18;
     const avoidConsec = d.getElementById('tAvoid').checked;
-    if (!name || !code) return;
+    const problem = entityProblem('teachers', { name, code, maxPerDay, maxPerWeek });
+    if (problem) return msg('teacherMsg', problem, 3000, true);
     const id = nextId(store.teachers);
     store.teachers.push({ id, name, code, maxPerDay, maxPerWeek, avoidConsec });
-    ensureDefaultAvailabilityForTeacher(id);
-    save(); renderTeachers(); renderAvailability(); renderSelectors();
-    d.getElementById('tName').value=''; d.getElementById('tCode').value='';
+    ensureAvailability(store, id);
+    save(`Add teacher ${name}`); renderTeachers(); renderAvailability(); renderSelectors();
+    d.getElementById('tName').value=''; d.getElementById('tCode').value=''; msg('teacherMsg', '');
   };
 
   // Subjects
   d.getElementById('btnAddSubject').onclick = () => {
     const name = d.getElementById('sName').value.trim();
     const code = d.getElementById('sCode').value.trim();
-    if (!name || !code) return;
+    const roomType = d.getElementById('sRoomType').value.trim();
+    const problem = entityProblem('subjects', { name, code, roomType });
+    if (problem) return msg('subjectMsg', problem, 3000, true);
     const id = nextId(store.subjects);
-    store.subjects.push({ id, name, code });
-    save(); renderSubjects(); renderSelectors();
-    d.getElementById('sName').value=''; d.getElementById('sCode').value='';
+    store.subjects.push({ id, name, code, roomType });
+    save(`Add subject ${name}`); renderSubjects(); renderSelectors();
+    d.getElementById('sName').value=''; d.getElementById('sCode').value=''; d.getElementById('sRoomType').value=''; msg('subjectMsg', '');
+  };
+
+  // Rooms
+  d.getElementById('btnAddRoom').onclick = () => {
+    const name = d.getElementById('rName').value.trim();
+    const code = d.getElementById('rCode').value.trim();
+    const type = d.getElementById('rType').value.trim() || 'classroom';
+    const capacity = +d.getElementById('rCapacity').value || 0;
+    const problem = entityProblem('rooms', { name, code, type, capacity });
+    if (problem) return msg('roomMsg', problem, 3000, true);
+    const id = nextId(store.rooms);
+    store.rooms.push({ id, name, code, type, capacity });
+    save(`Add room ${name}`); renderRooms(); renderSelectors();
+    d.getElementById('rName').value=''; d.getElementById('rCode').value=''; msg('roomMsg', '');
   };
 
   // Classes & loads
   d.getElementById('btnAddClass').onclick = () => {
     const name = d.getElementById('cName').value.trim();
-    if (!name) return;
+    const size = +d.getElementById('cSize').value || 0;
+    const problem = entityProblem('classes', { name, size });
+    if (problem) return msg('classMsg', problem, 3000, true);
     const id = nextId(store.classes);
-    store.classes.push({ id, name });
-    save(); renderClasses(); renderSelectors();
-    d.getElementById('cName').value='';
+    store.classes.push({ id, name, size });
+    save(`Add class ${name}`); renderClasses(); renderSelectors();
+    d.getElementById('cName').value=''; d.getElementById('cSize').value=''; msg('classMsg', '');
   };
 
   d.getElementById('btnAddLoad').onclick = () => {
     const classId = +document.getElementById('loadClass').value;
     const subjectId = +document.getElementById('loadSubject').value;
     const ppw = +document.getElementById('loadPPW').value;
-    if (!classId || !subjectId || !ppw) return;
-    store.loads.push({ classId, subjectId, ppw });
-    save(); renderClasses();
+    if (!classId || !subjectId) return;
+    if (!Number.isInteger(ppw) || ppw < 1) return msg('loadMsg', 'Periods per week must be a whole number of at least 1.', 2500, true);
+    const load = { classId, subjectId, ppw };
+    const blocks = parseNumbers(d.getElementById('loadBlocks').value);
+    const notIn = parsePeriods(d.getElementById('loadNotIn').value);
+    const onlyIn = parsePeriods(d.getElementById('loadOnlyIn').value);
+    const maxPerDay = +d.getElementById('loadMaxDay').value || 0;
+    if (!Number.isInteger(maxPerDay) || maxPerDay < 0) return msg('loadMsg', 'Max per day must be a whole number. Leave it empty or 0 for no limit.', 2500, true);
+    if (!blocks || blocks.some(b=>b < 1)) return msg('loadMsg', 'Blocks must be a list of lengths, e.g. 2,2,1.', 2500, true);
+    if (blocks.length && blocks.reduce((a,b)=>a+b, 0)!==ppw) return msg('loadMsg', `Blocks must add up to ${ppw} periods.`, 2500, true);
+    if (!notIn || !onlyIn) return msg('loadMsg', 'Periods must be names from the bell schedule, e.g. 1,2.', 2500, true);
+    if (blocks.some(b=>b > 1)) load.blocks = blocks;
+    if (maxPerDay) load.maxPerDay = maxPerDay;
+    if (notIn.length) load.forbiddenPeriods = notIn;
+    if (onlyIn.length) load.allowedPeriods = onlyIn;
+    if (d.getElementById('loadNoPM').checked) load.notAfterLunch = true;
+    if (d.getElementById('loadPerCycle').checked && cycleWeeks(store.cfg) > 1) load.perCycle = true;
+    // "Class B, Class C": classes sitting in the same lessons; "French, German:GER": parallel groups, each "name" or "name:subject"
+    const withText = d.getElementById('loadWith').value.trim(), groupText = d.getElementById('loadGroups').value.trim();
+    if (withText && groupText) return msg('loadMsg', 'A load can combine classes or split into groups, not both.', 2500, true);
+    if (withText){
+      const ids = [];
+      for (const name of withText.split(',').map(x=>x.trim()).filter(Boolean)){
+        const c = findByName(store.classes, name);
+        if (!c || c.id===classId) return msg('loadMsg', `Unknown class to combine with: ${name}`, 2500, true);
+        if (!ids.includes(c.id)) ids.push(c.id);
+      }
+      if (ids.length) load.combineWith = ids;
+    }
+    if (groupText){
+      const groups = [];
+      for (const item of groupText.split(',').map(x=>x.trim()).filter(Boolean)){
+        const [name, subj] = item.split(':').map(x=>x.trim());
+        const subject = subj ? findByName(store.subjects, subj) : null;
+        if (subj && !subject) return msg('loadMsg', `Unknown subject for group ${name}: ${subj}`, 2500, true);
+        groups.push(subject ? { name, subjectId: subject.id } : { name });
+      }
+      if (groups.length < 2) return msg('loadMsg', 'Parallel groups need at least two groups.', 2500, true);
+      load.groups = groups;
+    }
+    // one load per class and subject: saving again replaces it, and the load being edited moves to a new class or subject
+    const label = `${entityName('classes', classId)} · ${entityName('subjects', subjectId)}`;
+    const edited = loadEdit && store.loads.find(l=>l.classId===loadEdit.classId && l.subjectId===loadEdit.subjectId);
+    const moved = edited && (edited.classId!==classId || edited.subjectId!==subjectId) ? edited : null;
+    const same = store.loads.find(l=>l!==moved && l.subjectId===subjectId && loadClassIds(l).includes(classId));
+    if (same && same.classId!==classId) return msg('loadMsg', `${entityName('classes', classId)} has this subject combined with ${entityName('classes', same.classId)}. Change it there.`, 3000, true);
+    if (same && moved) return msg('loadMsg', `${label} already has a load. Edit that one, or delete it first.`, 3000, true);
+    const taken = (load.combineWith || []).find(id => store.loads.some(l=>l!==same && l!==moved && l.subjectId===subjectId && loadClassIds(l).includes(id)));
+    if (taken) return msg('loadMsg', `${entityName('classes', taken)} already has a ${entityName('subjects', subjectId)} load of its own.`, 3000, true);
+    const old = same || moved;
+    if (old) store.loads[store.loads.indexOf(old)] = load; else store.loads.push(load);
+    // pins of the moved load's lessons that the new one does not teach have nothing left to pin
+    if (moved) store.pins = store.pins.filter(x=>!(x.subjectId===moved.subjectId && loadClassIds(moved).includes(x.classId))
+      || (x.subjectId===subjectId && loadClassIds(load).includes(x.classId)));
+    const was = moved && `${entityName('classes', moved.classId)} · ${entityName('subjects', moved.subjectId)}`;
+    loadEdit = null;
+    save(moved ? `Change load ${was} to ${label}` : `${same ? 'Change' : 'Add'} load ${label}`); renderClasses(); if (moved) renderPins();
+    msg('loadMsg', moved ? `${was} is now ${label}.` : same ? `${label} updated.` : `${label} added.`, 2000);
+    for (const id of ['loadBlocks','loadNotIn','loadOnlyIn','loadMaxDay','loadWith','loadGroups']) d.getElementById(id).value = '';
+    d.getElementById('loadNoPM').checked = false;
+    d.getElementById('loadPerCycle').checked = false;
   };
 
   // Teacher skills
@@ -262,145 +879,671 @@ function hookUI(){
     const teacherId = +document.getElementById('tsTeacher').value;
     const subjectId = +document.getElementById('tsSubject').value;
     if (!teacherId || !subjectId) return;
-    if (!store.canTeach.some(x=>x.teacherId===teacherId && x.subjectId===subjectId)){
-      store.canTeach.push({ teacherId, subjectId });
-      save(); renderTeachSkill();
-    }
+    const priority = +d.getElementById('tsPriority').value;
+    if (store.canTeach.some(x=>x.teacherId===teacherId && x.subjectId===subjectId)) return setSkillPriority(teacherId, subjectId, priority);
+    store.canTeach.push({ teacherId, subjectId, ...(priority!==2 ? { priority } : {}) });
+    save(`${entityName('teachers', teacherId)} can teach ${entityName('subjects', subjectId)}`); renderTeachSkill();
+  };
+  d.getElementById('tsPriority').innerHTML = Object.entries(SKILL_LEVELS).map(([k, label])=>`<option value="${k}" ${k==='2'?'selected':''}>${label}</option>`).join('');
+
+  // Teacher availability: paint with the brush, presets, copying to other teachers
+  d.getElementById('availBrush').innerHTML = Object.entries(AVAIL_STATES).map(([k, label])=>`<option value="${k}">${label}</option>`).join('');
+  d.getElementById('availBrush').onchange = (e) => { availView.brush = e.target.value; };
+  d.getElementById('availTeacher').onchange = (e) => { availView.teacherId = +e.target.value; renderAvailability(); };
+  const availGrid = d.getElementById('availabilityGrid');
+  availGrid.onmousedown = (e) => {
+    if (e.button!==0) return;
+    const head = e.target.closest('th.avail-head');
+    if (head) return paintAvailHeading(head);
+    const td = e.target.closest('td.avail-cell');
+    if (!td) return;
+    e.preventDefault(); // no text selection while dragging
+    availPaint = { tid: availTeacherId(), state: availView.brush, n: 0 };
+    paintAvailCell(td);
+  };
+  availGrid.onmouseover = (e) => {
+    if (!availPaint) return;
+    if (!(e.buttons & 1)) return endAvailPaint(); // released outside the window
+    const td = e.target.closest('td.avail-cell');
+    if (td) paintAvailCell(td);
+  };
+  d.addEventListener('mouseup', endAvailPaint);
+  const availPreset = () => availPresets().find(x=>x.key===d.getElementById('availPreset').value);
+  d.getElementById('btnApplyPreset').onclick = () => {
+    const tid = availTeacherId(), preset = availPreset();
+    if (!tid || !preset) return;
+    applyAvailPattern(tid, preset.days);
+    save(`${entityName('teachers', tid)}: availability set to ${preset.name}`); renderAvailability();
+  };
+  d.getElementById('btnSavePreset').onclick = () => {
+    const tid = availTeacherId(), name = d.getElementById('presetName').value.trim();
+    if (!tid) return;
+    if (!name) return msg('availMsg', 'Give the preset a name.', 3000, true);
+    const same = store.availPresets.find(x=>sameText(x.name, name));
+    if (same) same.days = availPattern(tid);
+    else store.availPresets.push({ id: nextId(store.availPresets), name, days: availPattern(tid) });
+    save(`${same ? 'Update' : 'Save'} availability preset ${name}`);
+    d.getElementById('presetName').value = '';
+    msg('availMsg', `${same ? 'Updated' : 'Saved'} preset "${name}" from ${entityName('teachers', tid)}'s week.`, 3000);
+    renderAvailability();
+  };
+  d.getElementById('btnDeletePreset').onclick = () => {
+    const preset = availPreset();
+    if (!preset) return;
+    if (!preset.saved) return msg('availMsg', `"${preset.name}" is built in and cannot be deleted.`, 3000, true);
+    store.availPresets = store.availPresets.filter(x=>x!==preset.saved);
+    save(`Delete availability preset ${preset.name}`); renderAvailability();
+  };
+  d.getElementById('btnCopyAvail').onclick = () => {
+    const tid = availTeacherId();
+    const ids = Array.from(d.querySelectorAll('#availCopyList input:checked')).map(x=>+x.value);
+    if (!tid || !ids.length) return msg('availMsg', 'Tick the teachers to copy to.', 3000, true);
+    const days = availPattern(tid);
+    for (const id of ids) applyAvailPattern(id, days);
+    save(`Copy ${entityName('teachers', tid)}'s availability to ${ids.length} teacher${ids.length>1?'s':''}`);
+    msg('availMsg', `Copied to ${ids.map(id=>entityName('teachers', id)).join(', ')}.`, 3000);
+    renderAvailability();
+  };
+
+  // CSV / spreadsheet import: preview is a dry run, Apply re-plans against the current data
+  d.getElementById('bulkKind').innerHTML = Object.entries(CSV_KINDS).map(([k,spec])=>`<option value="${k}">${spec.label}</option>`).join('');
+  d.getElementById('bulkKind').onchange = () => { bulkDraft = null; renderBulk(); };
+  d.getElementById('bulkText').oninput = () => { bulkDraft = null; renderBulk(); };
+  d.getElementById('bulkFile').onchange = (e) => {
+    const file = e.target.files[0]; if (!file) return;
+    e.target.value = '';
+    const reader = new FileReader();
+    reader.onload = () => { d.getElementById('bulkText').value = reader.result; previewBulk(); };
+    reader.readAsText(file);
+  };
+  d.getElementById('btnBulkPreview').onclick = () => previewBulk();
+  d.getElementById('btnBulkApply').onclick = () => {
+    if (!bulkDraft) return;
+    const { kind, rows, mapping } = bulkDraft;
+    const plan = planImport(store, kind, rows, mapping);
+    applyImport(store, kind, plan);
+    if (kind==='teachers') for (const t of store.teachers) ensureAvailability(store, t.id);
+    const n = (a) => plan.filter(p=>p.action===a).length;
+    bulkDraft = null; d.getElementById('bulkText').value = '';
+    save(`Import ${kind} from CSV`); renderAll();
+    msg('bulkMsg', `✅ ${n('create')} created, ${n('update')} updated, ${n('reject')} rejected.`, 5000);
   };
 
-  // Generate
-  d.getElementById('btnSchedule').onclick = () => {
+  // Generate, or re-solve the shown timetable: keep its lessons where the current data still allows them
+  const runSchedule = async (keepFrom) => {
+    const opts = {
+      hDouble: d.getElementById('hDouble').checked,
+      hAvail: d.getElementById('hAvail').checked,
+      weights: store.weights,
+      attempts: Math.max(1, +d.getElementById('genAttempts').value || 1),
+      timeLimitMs: Math.max(1, +d.getElementById('genTimeLimit').value || 10) * 1000
+    };
+    if (keepFrom) opts.keep = keepFrom.rows;
+    setGenerating(true);
     try {
-      const rows = generateSchedule({
-        hDouble: document.getElementById('hDouble').checked,
-        hAvail: document.getElementById('hAvail').checked,
-        sConsec: document.getElementById('sConsec').checked,
-        sBalance: document.getElementById('sBalance').checked
-      });
-      msg('schedMsg', '✅ Schedule created.', 2000);
-      renderAllTimetable(rows);
+      const result = await generateSchedule(opts, renderSchedProgress);
+      const tt = addTimetable(result.rows, keepFrom ? `${keepFrom.name.replace(/ \(re-solved\)$/, '')} (re-solved)` : undefined);
+      save(`Generate ${tt.name}`); renderTimetable(); renderSchedReport(null);
+      if (keepFrom){
+        const diff = compareTimetables(keepFrom.rows, result.rows);
+        msg('schedMsg', `✅ Re-solved as "${tt.name}": ${diff.moved} lesson(s) moved, ${diff.teacher} changed teacher, ${diff.room} changed room (penalty ${result.score.total}).`, 8000);
+      } else {
+        msg('schedMsg', `✅ Schedule created as "${tt.name}" (best of ${result.attempts}, penalty ${result.score.total}).`, 4000);
+      }
     } catch(e){
-      msg('schedMsg', '❌ ' + (e.message||e), 4000, true);
-      renderAllTimetable([]);
+      msg('schedMsg', (e.cancelled ? '' : '❌ ') + (e.message||e), 4000, !e.cancelled);
+      renderSchedReport(e.report || null);
+    } finally {
+      setGenerating(false);
     }
   };
+  d.getElementById('btnSchedule').onclick = () => runSchedule(null);
+  d.getElementById('btnResolve').onclick = () => {
+    const tt = activeTimetable();
+    if (!tt) return msg('schedMsg', 'Generate a timetable first, then re-solve it after changing the data.', 3000, true);
+    runSchedule(tt);
+  };
 
-  // Export / Import / Seed / Clear
-  document.getElementById('btnExport').onclick = () => {
-    const blob = new Blob([JSON.stringify(store, null, 2)], {type:'application/json'});
-    const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = 'timetable.json'; a.click();
+  // Absences and cover
+  d.getElementById('coverDate').onchange = (e) => { coverDate = e.target.value || coverDate; renderCover(); };
+  d.getElementById('btnAddAbsence').onclick = () => {
+    const teacherId = +d.getElementById('absTeacher').value;
+    const periods = parsePeriods(d.getElementById('absPeriods').value);
+    const note = d.getElementById('absNote').value.trim();
+    if (!teacherId || !coverDate) return;
+    if (!periods) return msg('coverMsg', 'Periods must be names from the bell schedule, e.g. 1,2.', 2500, true);
+    const absence = { id: nextId(store.absences), teacherId, date: coverDate, note };
+    if (periods.length) absence.periods = periods;
+    store.absences.push(absence);
+    save(`Absence of ${entityName('teachers', teacherId)} on ${coverDate}`); renderCover();
+    d.getElementById('absPeriods').value=''; d.getElementById('absNote').value='';
+  };
+  d.getElementById('btnCoverSheet').onclick = printCoverSheet;
+  d.getElementById('btnCancel').onclick = cancelSchedule;
+  d.getElementById('btnCheck').onclick = () => {
+    const report = diagnoseSchedule(schedulerInput(store), { hAvail: d.getElementById('hAvail').checked });
+    renderSchedReport({ ...report, stuck: null }, true);
+  };
+
+  // Saved timetables
+  d.getElementById('ttSelect').onchange = (e) => {
+    store.activeTimetable = +e.target.value || null; ttSel = null;
+    save(); renderTimetable();
+  };
+  d.getElementById('ttViewSel').onchange = (e) => { ttView.view = e.target.value; ttSel = null; renderTimetable(); };
+  d.getElementById('ttFilterTeacher').onchange = (e) => { ttView.teacherId = +e.target.value; renderTimetable(); };
+  d.getElementById('ttFilterClass').onchange = (e) => { ttView.classId = +e.target.value; renderTimetable(); };
+  d.getElementById('ttFilterSubject').onchange = (e) => { ttView.subjectId = +e.target.value; renderTimetable(); };
+  d.getElementById('ttFilterWeek').onchange = (e) => { ttView.week = +e.target.value; renderTimetable(); };
+  d.getElementById('btnTTRename').onclick = () => {
+    const tt = activeTimetable(); if (!tt) return;
+    const name = d.getElementById('ttName').value.trim(); if (!name) return;
+    const old = tt.name;
+    tt.name = name; save(`Rename ${old} to ${name}`); renderTimetable();
+  };
+  d.getElementById('btnTTCopy').onclick = () => {
+    const tt = activeTimetable(); if (!tt) return;
+    const copy = addTimetable(tt.rows.map(r=>({ ...r })), `${tt.name} (copy)`);
+    copy.cfg = { ...tt.cfg };
+    ttSel = null; save(`Copy ${tt.name}`); renderTimetable();
+  };
+  d.getElementById('btnTTDelete').onclick = () => {
+    const tt = activeTimetable(); if (!tt) return;
+    if (!confirm(`Delete timetable "${tt.name}"?`)) return;
+    store.timetables = store.timetables.filter(t=>t.id!==tt.id);
+    store.activeTimetable = termTimetables().at(-1)?.id ?? null; ttSel = null;
+    save(`Delete timetable ${tt.name}`); renderTimetable();
+  };
+
+  // Publishing the shown timetable
+  d.getElementById('btnPrint').onclick = () => window.print();
+  d.getElementById('btnLessonsCSV').onclick = () => {
+    const tt = activeTimetable(); if (!tt) return;
+    download(`${fileName(tt.name)}-lessons.csv`, lessonsCSV(store, tt.rows, publishCfg(tt), timetableTerm(tt)), 'text/csv');
+  };
+  d.getElementById('btnICS').onclick = () => {
+    const tt = activeTimetable(); if (!tt) return;
+    const [kind, id] = d.getElementById('icsWho').value.split(':');
+    const who = (kind==='t' ? store.teachers : store.classes).find(x=>x.id===+id);
+    if (!who) return;
+    const ics = timetableICS(store, tt.rows, publishCfg(tt), { [kind==='t' ? 'teacherId' : 'classId']: who.id, calName: `${who.name} · ${tt.name}`, uidPrefix: `tt${tt.id}`, term: timetableTerm(tt) });
+    download(`${fileName(who.name)}.ics`, ics, 'text/calendar');
   };
+
+  // Export / Import / Seed / Clear
+  document.getElementById('btnExport').onclick = () => download('timetable.json', JSON.stringify(store, null, 2), 'application/json');
   document.getElementById('importFile').onchange = (e) => {
     const file = e.target.files[0]; if (!file) return;
+    e.target.value = ''; // choosing the same file again must fire onchange
     const reader = new FileReader();
     reader.onload = () => {
-      try {
-        const data = JSON.parse(reader.result);
-        Object.assign(store, data); save(); renderAll();
-        msg('schedMsg', '✅ Imported.', 1500);
-      } catch { msg('schedMsg','❌ Import failed.',2500,true); }
+      const { data, from, errors } = readStore(reader.result, { partial:true });
+      importDraft = { name: file.name, data, from, errors, replaceErrors: data && !errors.length ? validateStore(data) : [] };
+      renderImport();
     };
     reader.readAsText(file);
   };
-  document.getElementById('btnSeed').onclick = () => { seedDemo(); save(); renderAll(); msg('schedMsg','Demo data loaded.',1500); };
-  document.getElementById('btnClear').onclick = () => { localStorage.removeItem('tt-data'); location.reload(); };
+  document.getElementById('btnSeed').onclick = () => { seedDemo(); save('Load demo data'); renderAll(); msg('schedMsg','Demo data loaded.',1500); };
+  document.getElementById('btnClear').onclick = () => {
+    if (!confirm('Delete all teachers, subjects, classes, rooms, loads and timetables?')) return;
+    if (!takeSnapshot('Before Clear All') && !confirm('There is no room left to keep a snapshot. Clear anyway (Undo still works until the page is closed)?')) return;
+    restoreStore(BLANK_STORE); initDefaultsIfEmpty(); save('Clear all data'); renderAll();
+  };
+
+  // Undo / redo: Ctrl+Z, Ctrl+Shift+Z or Ctrl+Y, except while typing, where the field's own undo applies
+  d.getElementById('btnUndo').onclick = undo;
+  d.getElementById('btnRedo').onclick = redo;
+  d.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+    const k = e.key.toLowerCase();
+    if (k==='z' && !e.shiftKey) undo();
+    else if (k==='z' || k==='y') redo();
+    else return;
+    e.preventDefault();
+  });
+  d.getElementById('historyUser').value = localStorage.getItem('tt-user') || '';
+  d.getElementById('historyUser').onchange = (e) => localStorage.setItem('tt-user', e.target.value.trim());
+  d.getElementById('syncUrl').value = sync.url;
+  d.getElementById('btnSyncConnect').onclick = () => {
+    const key = d.getElementById('syncKey').value.trim() || sync.key;
+    if (!key) return msg('syncMsg', 'Enter the access key you were given.', 3000, true);
+    syncConnect(d.getElementById('syncUrl').value.trim(), key);
+    d.getElementById('syncKey').value = '';
+  };
+  d.getElementById('btnSyncDisconnect').onclick = syncDisconnect;
+  window.addEventListener('online', syncTick);
+  d.getElementById('btnSnapshot').onclick = () => {
+    const name = d.getElementById('snapName').value.trim() || new Date().toLocaleString();
+    if (!takeSnapshot(name)) return msg('historyMsg', 'Browser storage is full. Delete old snapshots first.', 3000, true);
+    d.getElementById('snapName').value = '';
+    msg('historyMsg', `Snapshot "${name}" saved.`, 1500); renderHistory();
+  };
+}
+
+// Class or subject by name or code, ignoring case
+function findByName(list, text){
+  const t = text.toLowerCase();
+  return list.find(x=>x.name.toLowerCase()===t || (x.code || '').toLowerCase()===t);
+}
+
+// "2, 2 1" -> [2,2,1]; null when something is not a whole number
+function parseNumbers(text){
+  const nums = text.split(/[\s,]+/).filter(Boolean).map(Number);
+  return nums.every(Number.isInteger) ? nums : null;
+}
+
+// "1, 2, Form time" -> period indexes by bell name (or position); null when one is not in the bell schedule
+function parsePeriods(text){
+  const items = text.split(',').map(x=>x.trim()).filter(Boolean)
+    .flatMap(t => periodIndex(store.cfg, t)!=null ? [t] : t.split(/\s+/));
+  const ps = items.map(t=>periodIndex(store.cfg, t));
+  return ps.every(p=>p!=null) ? ps : null;
 }
 
 function msg(id, text, ms=1500, bad=false){
   const el = document.getElementById(id);
   el.textContent = text; el.className = 'small ' + (bad ? 'bad':'ok');
-  setTimeout(()=>{ el.textContent=''; el.className='small'; }, ms);
+  clearTimeout(el._msgTimer); // a newer message must not be cleared by an older timer
+  el._msgTimer = setTimeout(()=>{ el.textContent=''; el.className='small'; }, ms);
 }
 
 // ---------- Renderers ----------
+function setGenerating(on){
+  document.getElementById('btnSchedule').disabled = on;
+  document.getElementById('btnResolve').disabled = on;
+  document.getElementById('btnCancel').style.display = on ? '' : 'none';
+  document.getElementById('schedProgress').style.display = on ? '' : 'none';
+  if (on) renderSchedProgress({ placed:0, best:0, total:0, restarts:0, elapsedMs:0 });
+}
+
+function renderSchedProgress(p){
+  const bar = document.getElementById('schedProgressBar');
+  bar.max = p.total || 1; bar.value = p.best;
+  document.getElementById('schedProgressText').textContent =
+    `${(p.elapsedMs/1000).toFixed(1)}s · best ${p.best}/${p.total} lessons · ${p.restarts} restarts`
+    + (p.score!=null ? ` · attempt ${p.attempt}/${p.attempts}, penalty ${p.score}` : '');
+}
+
+function renderWeights(){
+  document.getElementById('weightInputs').innerHTML = Object.entries(PENALTY_LABELS).map(([k,label]) =>
+    `<label>${label}<br><input type="number" min="0" step="1" value="${esc(store.weights[k])}" onchange="setWeight('${k}', this.value)"></label>`
+  ).join('');
+}
+window.setWeight = (key, value) => {
+  store.weights[key] = Math.max(0, +value || 0);
+  save(`Weight of ${PENALTY_LABELS[key]}`); renderTimetable();
+};
+
+function renderScore(tt){
+  const div = document.getElementById('ttScore');
+  if (!tt || tt.rows.length===0){ div.innerHTML = ''; return; }
+  const { total, breakdown } = scoreTimetable({ ...store, cfg: tt.cfg }, tt.rows, store.weights);
+  div.innerHTML = `<b>Penalty ${total}</b> `
+    + Object.entries(breakdown).map(([k,b]) => `<span class="pill" title="${b.raw} × weight ${esc(store.weights[k])}">${PENALTY_LABELS[k]}: ${b.penalty}</span>`).join('');
+}
+
+function renderSchedReport(report, showOk=false){
+  const div = document.getElementById('schedReport');
+  if (!report){ div.innerHTML = ''; return; }
+  const { blockers, warnings, stuck } = report;
+  let html = '';
+  if (blockers.length) html += `<div class="bad"><b>Blocking problems</b><ul>${blockers.map(b=>`<li>${esc(b)}</li>`).join('')}</ul></div>`;
+  if (stuck){
+    const cls = store.classes.find(c=>c.id===stuck.classId)?.name || '?';
+    const sub = store.subjects.find(s=>s.id===stuck.subjectId)?.name || '?';
+    const reasons = Object.entries(stuck.reasons).sort((a,b)=>b[1]-a[1]).map(([why,n])=>`${why} (${n})`).join(', ');
+    html += `<div class="bad"><b>Search ${report.timedOut ? 'ran out of time' : 'got stuck'}</b><div>Placed at most ${stuck.placed} of ${stuck.total} lessons.
+      Could not place ${esc(cls)} · ${esc(sub)} (${stuck.remaining} left). Free slot/teacher pairs were rejected because: ${reasons || 'no qualified teacher'}.</div></div>`;
+  }
+  if (warnings.length) html += `<div class="muted"><b>Warnings</b><ul>${warnings.map(w=>`<li>${esc(w)}</li>`).join('')}</ul></div>`;
+  if (!html && showOk) html = '<div class="ok">No obvious problems found.</div>';
+  div.innerHTML = html;
+}
+
 function renderAll(){
+  renderHistory();
+  renderSync();
   renderSelectors();
   renderTeachers();
   renderSubjects();
   renderClasses();
+  renderRooms();
   renderTeachSkill();
   renderAvailability();
-  renderAllTimetable([]);
+  renderWeights();
+  renderPins();
+  renderImport();
+  renderBulk();
+  renderTerms();
+  renderTimetable();
   // write cfg to inputs if needed
-  document.getElementById('cfgPeriods').value = store.cfg.periods;
   document.getElementById('cfgDays').value = store.cfg.days;
-  document.getElementById('cfgLunch').value = store.cfg.lunchAt ?? -1;
+  document.getElementById('cfgWeeks').value = cycleWeeks(store.cfg);
   document.getElementById('cfgWeekStart').value = store.cfg.weekStart;
+  renderBellEditor(store.cfg.bell.map((b, i) => ({ ...b, from: i })), Array.from({ length: store.cfg.days }, (_, d) => dayLength(store.cfg, d)));
+}
+
+// ---------- Bell schedule editor ----------
+// The rows are edited in place and read back on Save; dayEnds[d] is how many slots day d uses.
+// A slot's `from` is its position in the saved bell (none for a new slot), so Save can move what refers to it.
+function renderBellEditor(bell, dayEnds){
+  const days = Math.max(1, Math.min(7, +document.getElementById('cfgDays').value || store.cfg.days));
+  const kinds = [['', 'Lesson'], ['break', 'Break'], ['lunch', 'Lunch']];
+  document.getElementById('bellEditor').innerHTML = `<table><thead><tr><th>Name</th><th>Start</th><th>End</th><th>Kind</th><th></th></tr></thead><tbody>`
+    + bell.map((b, i) => `<tr data-slot data-from="${b.from ?? ''}">
+      <td><input value="${esc(b.name)}" style="width:90px"></td>
+      <td><input type="time" value="${esc(b.start)}"></td><td><input type="time" value="${esc(b.end)}"></td>
+      <td><select>${kinds.map(([k, label])=>`<option value="${k}" ${(b.kind || '')===k?'selected':''}>${label}</option>`).join('')}</select></td>
+      <td><button class="ghost" onclick="removeBellSlot(${i})">✕</button></td></tr>`).join('')
+    + `</tbody></table>`;
+  document.getElementById('bellAt').innerHTML = `<option value="">at the end</option>`
+    + bell.map((b, i) => `<option value="${i}">before ${esc(b.name)}</option>`).join('');
+  // a short day ends after one of the bell's slots
+  document.getElementById('dayEnds').innerHTML = Array.from({ length: days }, (_, d) => `<label>${dayName(d, { days: 7 })}<br><select>`
+    + bell.map((b, i) => `<option value="${i+1}" ${(Math.min(dayEnds[d] || bell.length, bell.length))===i+1?'selected':''}>${esc(b.name)}</option>`).join('')
+    + `</select></label>`).join('');
+}
+function readBell(){
+  return [...document.querySelectorAll('#bellEditor tr[data-slot]')].map(tr => {
+    const [name, start, end, kind] = [...tr.querySelectorAll('input, select')].map(x=>x.value.trim());
+    const from = tr.dataset.from==='' ? {} : { from: +tr.dataset.from };
+    return kind ? { name, start, end, kind, ...from } : { name, start, end, ...from };
+  });
+}
+const readDayEnds = () => [...document.querySelectorAll('#dayEnds select')].map(x=>+x.value);
+
+// A lesson (45 min) or a break (15 min) at the position chosen in the form, after the last slot by default.
+// Slots after it start that much later.
+function addBellSlot(kind){
+  const bell = readBell(), ends = readDayEnds(), size = bell.length;
+  const chosen = document.getElementById('bellAt').value, i = chosen==='' ? size : +chosen;
+  const at = (hhmm) => { const [h, m] = (hhmm || '08:30').split(':').map(Number); return h*60 + m; };
+  const hhmm = (m) => `${String(Math.floor(m/60) % 24).padStart(2,'0')}:${String(m%60).padStart(2,'0')}`;
+  const start = i < size ? at(bell[i].start) : size ? at(bell.at(-1).end) + (kind ? 0 : 5) : at('08:30');
+  const shift = kind ? 15 : 50;
+  for (const b of bell.slice(i)){ b.start = hhmm(at(b.start) + shift); b.end = hhmm(at(b.end) + shift); }
+  const numbered = bell.filter(b=>!b.kind).every((b, k)=>b.name===String(k+1));
+  bell.splice(i, 0, { name: kind ? 'Break' : String(bell.filter(b=>!b.kind).length + 1), start: hhmm(start), end: hhmm(start + (kind ? 15 : 45)), ...(kind ? { kind } : {}) });
+  if (numbered) renumberLessons(bell);
+  // days that take in the new slot, or ran to the end of the bell, still end after the same slot
+  renderBellEditor(bell, ends.map(e=>e > i || e===size ? e+1 : e));
+}
+window.removeBellSlot = (i) => {
+  const bell = readBell();
+  const numbered = bell.filter(b=>!b.kind).every((b, k)=>b.name===String(k+1));
+  bell.splice(i, 1);
+  if (numbered) renumberLessons(bell);
+  renderBellEditor(bell, readDayEnds().map(e=>e > i ? e-1 : e));
+};
+// Lessons named 1, 2, 3… stay numbered in order when one is added or removed
+function renumberLessons(bell){
+  bell.filter(b=>!b.kind).forEach((b, k) => { b.name = String(k+1); });
 }
 
 function renderSelectors(){
   const loadClass = document.getElementById('loadClass');
-  loadClass.innerHTML = store.classes.map(c=>`<option value="${c.id}">${c.name}</option>`).join('');
+  loadClass.innerHTML = store.classes.map(c=>`<option value="${c.id}">${esc(c.name)}</option>`).join('');
   const loadSubject = document.getElementById('loadSubject');
-  loadSubject.innerHTML = store.subjects.map(s=>`<option value="${s.id}">${s.name}</option>`).join('');
+  loadSubject.innerHTML = store.subjects.map(s=>`<option value="${s.id}">${esc(s.name)}</option>`).join('');
 
   const tsTeacher = document.getElementById('tsTeacher');
-  tsTeacher.innerHTML = store.teachers.map(t=>`<option value="${t.id}">${t.name}</option>`).join('');
+  tsTeacher.innerHTML = store.teachers.map(t=>`<option value="${t.id}">${esc(t.name)}</option>`).join('');
   const tsSubject = document.getElementById('tsSubject');
-  tsSubject.innerHTML = store.subjects.map(s=>`<option value="${s.id}">${s.name}</option>`).join('');
+  tsSubject.innerHTML = store.subjects.map(s=>`<option value="${s.id}">${esc(s.name)}</option>`).join('');
+  document.getElementById('absTeacher').innerHTML = store.teachers.map(t=>`<option value="${t.id}">${esc(t.name)}</option>`).join('');
+  document.getElementById('icsWho').innerHTML =
+    `<optgroup label="Teachers">${store.teachers.map(t=>`<option value="t:${t.id}">${esc(t.name)}</option>`).join('')}</optgroup>`
+    + `<optgroup label="Classes">${store.classes.map(c=>`<option value="c:${c.id}">${esc(c.name)}</option>`).join('')}</optgroup>`;
+
+  const filter = (id, list, all, selected) => {
+    document.getElementById(id).innerHTML = `<option value="0">${all}</option>`
+      + list.map(x=>`<option value="${x.id}" ${x.id===selected?'selected':''}>${esc(x.name)}</option>`).join('');
+  };
+  filter('ttFilterTeacher', store.teachers, 'All teachers', ttView.teacherId);
+  filter('ttFilterClass', store.classes, 'All classes', ttView.classId);
+  filter('ttFilterSubject', store.subjects, 'All subjects', ttView.subjectId);
+}
+
+// ---------- Inline editing ----------
+// Fields of each list as edited in place and checked when added; `min` marks whole numbers
+const EDIT_FIELDS = {
+  teachers: [{ key:'name', label:'Name' }, { key:'code', label:'Code' }, { key:'maxPerDay', label:'Max/Day', min:1 },
+    { key:'maxPerWeek', label:'Max/Week', min:1 }, { key:'avoidConsec', label:'Avoid consecutive', bool:true }],
+  subjects: [{ key:'name', label:'Name' }, { key:'code', label:'Code' }, { key:'roomType', label:'Room type', optional:true }],
+  rooms: [{ key:'name', label:'Name' }, { key:'code', label:'Code' }, { key:'type', label:'Type' }, { key:'capacity', label:'Capacity', min:0 }],
+  classes: [{ key:'name', label:'Name' }, { key:'size', label:'Pupils', min:0 }]
+};
+const EDIT_LISTS = { teachers: ['teacher', 'teacherMsg'], subjects: ['subject', 'subjectMsg'], rooms: ['room', 'roomMsg'], classes: ['class', 'classMsg'] };
+let editing = null; // {list, id} of the entity whose row shows inputs
+
+// What is wrong with a record for `list` (id: the entity it would replace), or null
+function entityProblem(list, rec, id){
+  for (const f of EDIT_FIELDS[list]){
+    const v = rec[f.key];
+    if (f.min!=null){ if (v!==undefined && (!Number.isInteger(v) || v < f.min)) return `${f.label} must be a whole number of at least ${f.min}.`; }
+    else if (!f.bool && !f.optional && !v) return `${f.label} is required.`;
+  }
+  // classes are told apart by name (imports, combined classes), everything else by code
+  const key = list==='classes' ? 'name' : 'code';
+  const clash = store[list].find(x=>x.id!==id && String(x[key]).toLowerCase()===rec[key].toLowerCase());
+  return clash ? `${clash.name} already has the ${key} ${clash[key]}.` : null;
 }
 
+const isEditing = (list, x) => editing?.list===list && editing.id===x.id;
+function editRow(list, x){
+  const input = (f) => f.bool
+    ? `<label><input type="checkbox" data-key="${f.key}" ${x[f.key] ? 'checked' : ''}> ${f.label}</label>`
+    : `<input data-key="${f.key}" title="${f.label}" placeholder="${f.label}" ${f.min!=null ? `type="number" min="${f.min}" style="width:90px"` : ''} value="${esc(x[f.key])}">`;
+  return `<div class="row" data-edit style="border-top:1px dashed #e5e7eb; padding-top:6px; margin-top:6px;">
+    ${EDIT_FIELDS[list].map(input).join('')}
+    <button onclick="saveEntity('${list}', ${x.id})">Save</button>
+    <button class="ghost" onclick="cancelEdit()">Cancel</button>
+  </div>`;
+}
+window.editEntity = (list, id) => { editing = { list, id }; renderAll(); };
+window.cancelEdit = () => { editing = null; renderAll(); };
+window.saveEntity = (list, id) => {
+  const x = store[list].find(x=>x.id===id); if (!x) return;
+  const rec = {};
+  for (const el of document.querySelectorAll('[data-edit] [data-key]')){
+    const f = EDIT_FIELDS[list].find(f=>f.key===el.dataset.key);
+    rec[f.key] = f.bool ? el.checked : f.min!=null ? (el.value.trim()==='' ? NaN : Number(el.value)) : el.value.trim();
+  }
+  const [one, msgId] = EDIT_LISTS[list];
+  const problem = entityProblem(list, rec, id);
+  if (problem) return msg(msgId, problem, 3000, true);
+  const before = x.name;
+  Object.assign(x, rec); editing = null;
+  save(`Edit ${one} ${before}`); renderAll(); msg(msgId, 'Saved.', 1500);
+};
+
 function renderTeachers(){
   const div = document.getElementById('teacherList');
   if (store.teachers.length===0){ div.innerHTML = '<span class="muted">No teachers yet.</span>'; return; }
-  div.innerHTML = store.teachers.map(t => `
+  div.innerHTML = store.teachers.map(t => isEditing('teachers', t) ? editRow('teachers', t) : `
     <div class="row" style="justify-content:space-between; border-top:1px dashed #e5e7eb; padding-top:6px; margin-top:6px;">
-      <div><b>${t.name}</b> <span class="muted">(${t.code})</span>
+      <div><b>${esc(t.name)}</b> <span class="muted">(${esc(t.code)})</span>
         <span class="pill">Max/Day ${t.maxPerDay}</span>
         <span class="pill">Max/Week ${t.maxPerWeek}</span>
         <span class="pill">${t.avoidConsec?'Avoid consec':'Consec ok'}</span>
       </div>
-      <button class="ghost" onclick="removeTeacher(${t.id})">Delete</button>
+      <div class="row">
+        <button class="ghost" onclick="editEntity('teachers', ${t.id})">Edit</button>
+        <button class="ghost" onclick="removeTeacher(${t.id})">Delete</button>
+      </div>
     </div>
   `).join('');
 }
 window.removeTeacher = (id) => {
+  const name = entityName('teachers', id);
+  if (!confirmDelete('teacher', id, name)) return;
   store.teachers = store.teachers.filter(t=>t.id!==id);
   store.canTeach = store.canTeach.filter(x=>x.teacherId!==id);
   store.availability = store.availability.filter(a=>a.teacherId!==id);
-  save(); renderTeachers(); renderTeachSkill(); renderAvailability(); renderSelectors();
+  for (const h of termHolders()) h.pins = h.pins.filter(x=>!(x.teacherIds || [x.teacherId]).includes(id));
+  // covers they gave go; covers for their absences stay in the history of whoever covered
+  store.absences = store.absences.filter(a=>a.teacherId!==id);
+  store.covers = store.covers.filter(c=>c.teacherId!==id);
+  save(`Delete teacher ${name}`); renderPins(); renderCover(); renderTeachers(); renderTeachSkill(); renderAvailability(); renderSelectors();
 };
 
 function renderSubjects(){
   const div = document.getElementById('subjectList');
   if (store.subjects.length===0){ div.innerHTML = '<span class="muted">No subjects yet.</span>'; return; }
-  div.innerHTML = store.subjects.map(s => `
+  div.innerHTML = store.subjects.map(s => isEditing('subjects', s) ? editRow('subjects', s) : `
     <div class="row" style="justify-content:space-between; border-top:1px dashed #e5e7eb; padding-top:6px; margin-top:6px;">
-      <div><b>${s.name}</b> <span class="muted">(${s.code})</span></div>
-      <button class="ghost" onclick="removeSubject(${s.id})">Delete</button>
+      <div><b>${esc(s.name)}</b> <span class="muted">(${esc(s.code)})</span>
+        ${s.roomType ? `<span class="pill">Needs ${esc(s.roomType)}</span>` : ''}
+      </div>
+      <div class="row">
+        <button class="ghost" onclick="editEntity('subjects', ${s.id})">Edit</button>
+        <button class="ghost" onclick="removeSubject(${s.id})">Delete</button>
+      </div>
     </div>
   `).join('');
 }
 window.removeSubject = (id) => {
+  const name = entityName('subjects', id);
+  if (!confirmDelete('subject', id, name)) return;
   store.subjects = store.subjects.filter(s=>s.id!==id);
   store.canTeach = store.canTeach.filter(x=>x.subjectId!==id);
-  store.loads = store.loads.filter(x=>x.subjectId!==id);
-  save(); renderSubjects(); renderTeachSkill(); renderClasses(); renderSelectors();
+  // a parallel group of that subject goes; with fewer than two groups left the load is a plain one again
+  for (const h of termHolders()){
+    h.loads = h.loads.filter(x=>x.subjectId!==id);
+    for (const l of h.loads) if (l.groups?.some(g=>g.subjectId===id)){
+      l.groups = l.groups.filter(g=>g.subjectId!==id);
+      if (l.groups.length < 2) delete l.groups;
+    }
+    h.pins = h.pins.filter(x=>x.subjectId!==id);
+  }
+  save(`Delete subject ${name}`); renderPins(); renderSubjects(); renderTeachSkill(); renderClasses(); renderSelectors();
 };
 
 function renderClasses(){
   const div = document.getElementById('classList');
   if (store.classes.length===0){ div.innerHTML = '<span class="muted">No classes yet.</span>'; return; }
   const loadsByClass = new Map();
-  for (const l of store.loads){
-    const key = l.classId;
-    if (!loadsByClass.has(key)) loadsByClass.set(key, []);
-    const subject = store.subjects.find(s=>s.id===l.subjectId)?.name || '?';
-    loadsByClass.get(key).push(`${subject}: ${l.ppw} /wk`);
-  }
-  div.innerHTML = store.classes.map(c => `
+  store.loads.forEach((l, i) => {
+    // a combined load is listed under every class that sits in it
+    for (const key of loadClassIds(l)){
+      if (!loadsByClass.has(key)) loadsByClass.set(key, []);
+      const subject = store.subjects.find(s=>s.id===l.subjectId)?.name || '?';
+      loadsByClass.get(key).push(`<span class="pill">${esc(subject)}: ${l.ppw} ${l.perCycle ? '/cycle' : '/wk'}${esc(loadRules(l, key))}
+        <a href="#" onclick="editLoad(${i});return false;" title="edit">✎</a> <a href="#" onclick="removeLoad(${i});return false;" title="remove">×</a></span>`);
+    }
+  });
+  div.innerHTML = store.classes.map(c => isEditing('classes', c) ? editRow('classes', c) : `
     <div class="row" style="justify-content:space-between; border-top:1px dashed #e5e7eb; padding-top:6px; margin-top:6px;">
-      <div><b>${c.name}</b><div class="small muted">${(loadsByClass.get(c.id)||[]).join(', ') || 'No loads defined'}</div></div>
+      <div><b>${esc(c.name)}</b> ${c.size ? `<span class="muted">(${c.size} pupils)</span>` : ''}<div class="small muted">${(loadsByClass.get(c.id)||[]).join(' ') || 'No loads defined'}</div></div>
       <div class="row">
+        <button class="ghost" onclick="editEntity('classes', ${c.id})">Edit</button>
         <button class="ghost" onclick="removeClass(${c.id})">Delete</button>
       </div>
     </div>
   `).join('');
 }
+function loadRules(l, classId = l.classId){
+  const periods = ps => ps.map(p=>periodLabel(store.cfg, p)).join('/');
+  const name = (list, id) => list.find(x=>x.id===id)?.name || '?';
+  const parts = [];
+  const others = loadClassIds(l).filter(id=>id!==classId);
+  if (others.length) parts.push(`with ${others.map(id=>name(store.classes, id)).join(', ')}`);
+  if (l.groups?.length) parts.push(`groups ${l.groups.map(g=>g.subjectId && g.subjectId!==l.subjectId ? `${g.name}: ${name(store.subjects, g.subjectId)}` : g.name).join(' / ')}`);
+  if (l.blocks?.some(b=>b > 1)) parts.push(l.blocks.join('+'));
+  if (l.maxPerDay) parts.push(`max ${l.maxPerDay}/day`);
+  if (l.allowedPeriods) parts.push(l.allowedPeriods.length ? `only ${periods(l.allowedPeriods)}` : 'no period allowed');
+  if (l.forbiddenPeriods?.length) parts.push(`not ${periods(l.forbiddenPeriods)}`);
+  if (l.notAfterLunch) parts.push('not after lunch');
+  return parts.length ? ` (${parts.join(', ')})` : '';
+}
 window.removeClass = (id) => {
+  const name = entityName('classes', id);
+  if (!confirmDelete('class', id, name)) return;
   store.classes = store.classes.filter(c=>c.id!==id);
-  store.loads = store.loads.filter(l=>l.classId!==id);
-  save(); renderClasses(); renderSelectors();
+  for (const h of termHolders()){
+    h.loads = h.loads.filter(l=>l.classId!==id);
+    for (const l of h.loads) if (l.combineWith?.includes(id)){
+      l.combineWith = l.combineWith.filter(x=>x!==id);
+      if (!l.combineWith.length) delete l.combineWith;
+    }
+    h.pins = h.pins.filter(x=>x.classId!==id);
+  }
+  save(`Delete class ${name}`); renderPins(); renderClasses(); renderSelectors();
+};
+
+// Fill the load form with a load, so Save Load replaces it
+window.editLoad = (i) => {
+  const l = store.loads[i], d = document; if (!l) return;
+  loadEdit = { classId: l.classId, subjectId: l.subjectId };
+  const names = (ps) => (ps || []).map(p=>periodName(store.cfg, p)).join(', ');
+  d.getElementById('loadClass').value = l.classId;
+  d.getElementById('loadSubject').value = l.subjectId;
+  d.getElementById('loadPPW').value = l.ppw;
+  d.getElementById('loadBlocks').value = (l.blocks || []).join(',');
+  d.getElementById('loadMaxDay').value = l.maxPerDay || '';
+  d.getElementById('loadNotIn').value = names(l.forbiddenPeriods);
+  d.getElementById('loadOnlyIn').value = names(l.allowedPeriods);
+  d.getElementById('loadNoPM').checked = !!l.notAfterLunch;
+  d.getElementById('loadPerCycle').checked = !!l.perCycle;
+  d.getElementById('loadWith').value = (l.combineWith || []).map(id=>entityName('classes', id)).join(', ');
+  d.getElementById('loadGroups').value = (l.groups || []).map(g=>g.subjectId ? `${g.name}:${store.subjects.find(s=>s.id===g.subjectId)?.code || '?'}` : g.name).join(', ');
+  msg('loadMsg', `Editing ${entityName('classes', l.classId)} · ${entityName('subjects', l.subjectId)}. Save Load replaces it.`, 8000);
+  d.getElementById('loadPPW').focus();
+};
+window.removeLoad = (i) => {
+  const l = store.loads[i]; if (!l) return;
+  store.loads.splice(i, 1);
+  // pins of its lessons have nothing left to pin
+  store.pins = store.pins.filter(x=>!(x.subjectId===l.subjectId && loadClassIds(l).includes(x.classId)));
+  save(`Delete load ${entityName('classes', l.classId)} · ${entityName('subjects', l.subjectId)}`); renderClasses(); renderPins();
+};
+
+function renderRooms(){
+  const div = document.getElementById('roomList');
+  document.getElementById('roomTypes').innerHTML = roomTypes().map(t=>`<option value="${esc(t)}">`).join('');
+  if (store.rooms.length===0){
+    div.innerHTML = '<span class="muted">No rooms yet. Without rooms, lessons are scheduled without a room.</span>';
+    document.getElementById('roomAvailGrid').innerHTML = '';
+    return;
+  }
+  div.innerHTML = store.rooms.map(r => isEditing('rooms', r) ? editRow('rooms', r) : `
+    <div class="row" style="justify-content:space-between; border-top:1px dashed #e5e7eb; padding-top:6px; margin-top:6px;">
+      <div><b>${esc(r.name)}</b> <span class="muted">(${esc(r.code)})</span>
+        <span class="pill">${esc(r.type)}</span>
+        ${r.capacity ? `<span class="pill">Seats ${r.capacity}</span>` : ''}
+      </div>
+      <div class="row">
+        <button class="ghost" onclick="editEntity('rooms', ${r.id})">Edit</button>
+        <button class="ghost" onclick="removeRoom(${r.id})">Delete</button>
+      </div>
+    </div>
+  `).join('');
+  let html = '';
+  for (const r of store.rooms){
+    const off = new Set(store.roomAvailability.filter(a=>a.roomId===r.id && !a.available).map(a=>`${a.day}-${a.period}`));
+    html += `<div style="margin-bottom:10px;"><b>${esc(r.name)}</b> <span class="muted">(${esc(r.code)})</span>`;
+    html += availTable((d,p) => !off.has(`${d}-${p}`), (d,p) => `toggleRoomAvail(${r.id},${d},${p})`) + `</div>`;
+  }
+  document.getElementById('roomAvailGrid').innerHTML = html;
+}
+function roomTypes(){
+  return Array.from(new Set(['classroom', 'lab', 'gym', 'computer room', ...store.rooms.map(r=>r.type)]));
+}
+window.removeRoom = (id) => {
+  const name = entityName('rooms', id);
+  if (!confirmDelete('room', id, name)) return;
+  store.rooms = store.rooms.filter(r=>r.id!==id);
+  store.roomAvailability = store.roomAvailability.filter(a=>a.roomId!==id);
+  for (const x of termHolders().flatMap(h=>h.pins)){
+    if (x.roomId===id) x.roomId = null;
+    if (x.roomIds) x.roomIds = x.roomIds.map(r=>r===id ? null : r);
+  }
+  save(`Delete room ${name}`); renderRooms(); renderSelectors(); renderPins();
+};
+window.toggleRoomAvail = (rid,d,p) => {
+  let rec = store.roomAvailability.find(a=>a.roomId===rid && a.day===d && a.period===p);
+  if (!rec){ rec = { roomId:rid, day:d, period:p, available:true }; store.roomAvailability.push(rec); }
+  rec.available = !rec.available; save(`${entityName('rooms', rid)} ${rec.available ? 'open' : 'closed'} ${dayName(d)} ${periodLabel(store.cfg, p)}`); renderRooms();
 };
 
 function renderTeachSkill(){
@@ -409,113 +1552,788 @@ function renderTeachSkill(){
   div.innerHTML = store.canTeach.map(x=>{
     const t = store.teachers.find(t=>t.id===x.teacherId)?.name || '?';
     const s = store.subjects.find(s=>s.id===x.subjectId)?.name || '?';
-    return `<span class="pill">${t} → ${s} <a href="#" onclick="delTS(${x.teacherId},${x.subjectId});return false;" title="remove">×</a></span>`;
+    const levels = Object.entries(SKILL_LEVELS).map(([k, label])=>`<option value="${k}" ${+k===skillPriority(x)?'selected':''}>${label}</option>`).join('');
+    return `<span class="pill">${skillPriority(x)===1 ? '★ ' : ''}${esc(t)} → ${esc(s)}
+      <select style="padding:0 4px" onchange="setSkillPriority(${x.teacherId},${x.subjectId},+this.value)">${levels}</select>
+      <a href="#" onclick="delTS(${x.teacherId},${x.subjectId});return false;" title="remove">×</a></span>`;
   }).join(' ');
 }
+window.setSkillPriority = (tid, sid, priority) => {
+  const x = store.canTeach.find(x=>x.teacherId===tid && x.subjectId===sid);
+  if (!x || skillPriority(x)===priority) return;
+  if (priority===2) delete x.priority; else x.priority = priority;
+  save(`${entityName('teachers', tid)}: ${entityName('subjects', sid)} ${SKILL_LEVELS[priority].toLowerCase()}`); renderTeachSkill();
+};
 window.delTS = (tid,sid) => {
   store.canTeach = store.canTeach.filter(x=> !(x.teacherId===tid && x.subjectId===sid));
-  save(); renderTeachSkill();
+  save(`${entityName('teachers', tid)} no longer teaches ${entityName('subjects', sid)}`); renderTeachSkill();
 };
 
-function renderAvailability(){
-  const wrap = document.getElementById('availabilityGrid');
-  if (store.teachers.length===0){ wrap.innerHTML = '<span class="muted">Add teachers to edit availability.</span>'; return; }
-  let html = '';
-  const days = store.cfg.days, periods = store.cfg.periods, lunch = store.cfg.lunchAt;
-  for (const t of store.teachers){
-    html += `<div style="margin-bottom:10px;"><b>${t.name}</b> <span class="muted">(${t.code})</span>`;
-    html += `<table style="margin-top:6px;"><thead><tr><th>Day/Period</th>`;
+// On/Off grid over the configured week; onclick(d,p) returns the handler call for a cell
+function availTable(isOn, onclick){
+  const days = cycleDays(store.cfg), periods = store.cfg.periods;
+  let html = `<table style="margin-top:6px;"><thead><tr><th>Day/Period</th>${periodHeader(store.cfg)}</tr></thead><tbody>`;
+  for (let d=0; d<days; d++){
+    html += `<tr><th>${dayName(d)}</th>`;
     for (let p=0;p<periods;p++){
-      if (lunch!=null && p===lunch) html += `<th>Lunch</th>`;
-      else html += `<th>${p+1}</th>`;
+      const closed = closedCell(store.cfg, d, p);
+      if (closed){ html += closed; continue; }
+      const on = isOn(d,p);
+      const cls = 'avail-btn ' + (on?'avail-on':'avail-off');
+      html += `<td><button class="${cls}" onclick="${onclick(d,p)}">${on?'On':'Off'}</button></td>`;
     }
-    html += `</tr></thead><tbody>`;
-    for (let d=0; d<days; d++){
-      html += `<tr><th>${dayName(d)}</th>`;
-      for (let p=0;p<periods;p++){
-        if (lunch!=null && p===lunch){
-          html += `<td class="small muted" style="text-align:center">—</td>`;
-          continue;
-        }
-        const a = store.availability.find(a=>a.teacherId===t.id && a.day===d && a.period===p);
-        const on = !!(a && a.available);
-        const cls = 'avail-btn ' + (on?'avail-on':'avail-off');
-        html += `<td><button class="${cls}" onclick="toggleAvail(${t.id},${d},${p})">${on?'On':'Off'}</button></td>`;
-      }
-      html += `</tr>`;
+    html += `</tr>`;
+  }
+  return html + `</tbody></table>`;
+}
+
+// ---------- Teacher availability ----------
+// One teacher's week at a time. Cells are painted with the brush by clicking or dragging; a day or period
+// heading paints its whole row or column, the corner the whole week (and puts it back when it already has the brush).
+
+function availTeacherId(){
+  if (sync.user?.role==='teacher') availView.teacherId = sync.user.teacherId;
+  if (!store.teachers.some(t=>t.id===availView.teacherId)) availView.teacherId = store.teachers[0]?.id || 0;
+  return availView.teacherId;
+}
+const availCellHtml = (state, d, p) => `<td class="avail-cell avail-${state}" data-d="${d}" data-p="${p}">${AVAIL_CELL_TEXT[state]}</td>`;
+
+function renderAvailability(){
+  const d = document;
+  const wrap = d.getElementById('availabilityGrid');
+  const tid = availTeacherId(), cfg = store.cfg;
+  const teacherSel = d.getElementById('availTeacher');
+  teacherSel.disabled = sync.user?.role==='teacher';
+  teacherSel.innerHTML = store.teachers.map(t => {
+    let on = 0, avoid = 0;
+    for (let day=0; day<cycleDays(cfg); day++) for (let p=0; p<cfg.periods; p++){
+      if (!isTeachingSlot(cfg, day, p)) continue;
+      const st = availState(t.id, day, p);
+      if (st==='on') on++; else if (st==='avoid') avoid++;
     }
-    html += `</tbody></table></div>`;
+    return `<option value="${t.id}" ${t.id===tid?'selected':''}>${esc(t.name)} (${on + avoid} periods${avoid ? `, ${avoid} prefer not` : ''})</option>`;
+  }).join('');
+  d.getElementById('availBrush').value = availView.brush;
+  d.getElementById('availPreset').innerHTML = availPresets().map(x=>`<option value="${x.key}">${esc(x.name)}</option>`).join('');
+  d.getElementById('availCopyList').innerHTML = store.teachers.filter(t=>t.id!==tid)
+    .map(t=>`<label><input type="checkbox" value="${t.id}"> ${esc(t.name)}</label>`).join(' ') || '<span class="muted">No other teachers.</span>';
+  if (!tid){ wrap.innerHTML = '<span class="muted">Add teachers to edit availability.</span>'; return; }
+  let html = `<table style="margin-top:6px;"><thead><tr><th class="avail-head" data-week="1" title="Paint the whole week">Day/Period</th>`;
+  html += cfg.bell.map((b, p) => b.kind ? `<th>${esc(b.name)}<div class="small muted">${esc(b.start)}</div></th>`
+    : `<th class="avail-head" data-col="${p}" title="Paint this period on every day">${esc(b.name)}<div class="small muted">${esc(b.start)}</div></th>`).join('');
+  html += `</tr></thead><tbody>`;
+  for (let day=0; day<cycleDays(cfg); day++){
+    html += `<tr><th class="avail-head" data-row="${day}" title="Paint the whole day">${dayName(day)}</th>`;
+    for (let p=0; p<cfg.periods; p++) html += closedCell(cfg, day, p) || availCellHtml(availState(tid, day, p), day, p);
+    html += `</tr>`;
   }
-  wrap.innerHTML = html;
+  wrap.innerHTML = html + `</tbody></table>`;
+}
+
+// Painting: cells change as the mouse passes, the store is saved once when the button is let go
+function paintAvailCell(td){
+  const { tid, state } = availPaint, d = +td.dataset.d, p = +td.dataset.p;
+  if (availState(tid, d, p)===state) return;
+  setAvailState(tid, d, p, state);
+  td.className = `avail-cell avail-${state}`; td.textContent = AVAIL_CELL_TEXT[state];
+  availPaint.n++;
+}
+function endAvailPaint(){
+  if (!availPaint) return;
+  const { tid, state, n } = availPaint;
+  availPaint = null;
+  if (n) save(`${entityName('teachers', tid)}: ${n} period${n>1?'s':''} ${AVAIL_STATES[state].toLowerCase()}`);
+  renderAvailability();
+}
+// A whole day (row), period (col) or week from a heading
+function paintAvailHeading(th){
+  const tid = availTeacherId(), cfg = store.cfg, brush = availView.brush;
+  const cells = [];
+  for (let d=0; d<cycleDays(cfg); d++) for (let p=0; p<cfg.periods; p++){
+    if (!isTeachingSlot(cfg, d, p)) continue;
+    if ((th.dataset.row==null || +th.dataset.row===d) && (th.dataset.col==null || +th.dataset.col===p)) cells.push([d, p]);
+  }
+  if (!cells.length) return;
+  const state = cells.every(([d, p])=>availState(tid, d, p)===brush) ? (brush==='on' ? 'off' : 'on') : brush;
+  for (const [d, p] of cells) setAvailState(tid, d, p, state);
+  const what = th.dataset.row!=null ? dayName(+th.dataset.row) : th.dataset.col!=null ? `${periodLabel(cfg, +th.dataset.col)} every day` : cycleWeeks(cfg) > 1 ? 'the whole cycle' : 'the whole week';
+  save(`${entityName('teachers', tid)}: ${what} ${AVAIL_STATES[state].toLowerCase()}`); renderAvailability();
+}
+
+// A teacher's week (or rotation cycle) as preset strings, and back. Presets only touch teaching periods;
+// a preset of fewer days repeats (a one-week preset fills every week of the cycle), and periods it has
+// no character for (the bell grew since it was saved) become available.
+function availPattern(tid){
+  const cfg = store.cfg;
+  return Array.from({ length: cycleDays(cfg) }, (_, d) => Array.from({ length: cfg.periods },
+    (_, p) => isTeachingSlot(cfg, d, p) ? AVAIL_CHARS[availState(tid, d, p)] : '0').join(''));
+}
+function applyAvailPattern(tid, days){
+  const cfg = store.cfg;
+  for (let d=0; d<cycleDays(cfg); d++) for (let p=0; p<cfg.periods; p++){
+    if (!isTeachingSlot(cfg, d, p)) continue;
+    const ch = days[d % days.length]?.[p];
+    setAvailState(tid, d, p, ch==='0' ? 'off' : ch==='~' ? 'avoid' : 'on');
+  }
+}
+// Built-in patterns for the current bell ("mornings" end at lunch, or halfway without one), then the saved presets
+function availPresets(){
+  const cfg = store.cfg, split = lunchIndex(cfg) ?? Math.ceil(cfg.periods / 2);
+  const week = (on) => Array.from({ length: cycleDays(cfg) }, () => Array.from({ length: cfg.periods }, (_, p) => on(p) ? '1' : '0').join(''));
+  return [
+    { key:'all', name:'Available all week', days: week(()=>true) },
+    { key:'am', name:'Mornings only', days: week(p=>p < split) },
+    { key:'pm', name:'Afternoons only', days: week(p=>p >= split) },
+    ...store.availPresets.map(x => ({ key:`p${x.id}`, name: x.name, days: x.days, saved: x }))
+  ];
 }
-window.toggleAvail = (tid,d,p) => {
-  let rec = store.availability.find(a=>a.teacherId===tid && a.day===d && a.period===p);
-  if (!rec){ rec = { teacherId:tid, day:d, period:p, available:true }; store.availability.push(rec); }
-  rec.available = !rec.available; save(); renderAvailability();
-};
 
-function renderAllTimetable(rows){
+function renderTimetable(){
   const wrap = document.getElementById('gridWrap');
-  if (!rows || rows.length===0){
+  const select = document.getElementById('ttSelect');
+  const info = document.getElementById('ttInfo');
+  const list = termTimetables();
+  select.innerHTML = list.length
+    ? list.map(t=>`<option value="${t.id}" ${t.id===store.activeTimetable?'selected':''}>${esc(t.name)}</option>`).join('')
+    : '<option value="">No saved timetables</option>';
+  const tt = activeTimetable();
+  document.getElementById('ttName').value = tt ? tt.name : '';
+  const weeks = tt ? cycleWeeks(tt.cfg) : 1, weekSel = document.getElementById('ttFilterWeek');
+  weekSel.style.display = weeks > 1 ? '' : 'none';
+  weekSel.innerHTML = `<option value="-1">Whole cycle</option>`
+    + Array.from({ length: weeks }, (_, w) => `<option value="${w}" ${w===ttView.week?'selected':''}>Week ${weekName(w)}</option>`).join('');
+  renderTimetableEditor(tt);
+  renderScore(tt);
+  renderCover();
+  if (!tt || tt.rows.length===0){
+    info.textContent = '';
     wrap.innerHTML = '<div class="muted">No timetable yet. Click Generate.</div>';
     return;
   }
-  const days = store.cfg.days, periods = store.cfg.periods, lunch = store.cfg.lunchAt;
-  const classes = Array.from(new Set(rows.map(r=>r.className)));
+
+  const idx = timetableIndex(tt.rows);
+  const issueCount = tt.rows.filter(r=>lessonIssues(r, idx).length).length;
+  info.innerHTML = `Created ${new Date(tt.createdAt).toLocaleString()} · ${tt.rows.length} lessons`
+    + (issueCount ? ` · <span class="bad">${issueCount} with conflicts</span>` : ' · <span class="ok">no conflicts</span>')
+    + (sameCfg(tt.cfg, store.cfg) ? '' : ' · <span class="bad">built with a different config</span>');
+
+  const rows = tt.rows.filter(r => ttMatches(r));
+  if (ttView.view==='teacher') wrap.innerHTML = teacherGrids(tt, rows);
+  else if (ttView.view==='master') wrap.innerHTML = masterGrid(tt, rows);
+  else if (ttView.view==='room') wrap.innerHTML = roomGrids(tt, rows);
+  else wrap.innerHTML = classGrids(tt, idx);
+}
+
+// Cycle days the views show: all of them, or those of the week picked in the week filter
+function viewDays(cfg){
+  const all = Array.from({ length: cycleDays(cfg) }, (_, d) => d);
+  return ttView.week >= 0 && ttView.week < cycleWeeks(cfg) ? all.filter(d => weekOf(cfg, d)===ttView.week) : all;
+}
+
+function ttMatches(r){
+  return (!ttView.teacherId || r.teacherId===ttView.teacherId)
+    && (!ttView.classId || r.classId===ttView.classId)
+    && (!ttView.subjectId || r.subjectId===ttView.subjectId);
+}
+
+function periodHeader(cfg){
+  // today's bell while it still fits the timetable, else the one it was built with
+  const bell = store.cfg.bell.length===cfg.periods ? store.cfg.bell : cfg.bell;
+  return bell.map(b => `<th>${esc(b.name)}<div class="small muted">${esc(b.start)}</div></th>`).join('');
+}
+
+// "P3" or "P3–4" for a lesson of len periods
+const periodSpan = (cfg, p, len) => periodLabel(cfg, p) + (len > 1 ? `–${periodName(cfg, p+len-1)}` : '');
+
+// The cell of a slot without lessons (a break, or after a short day has ended); null for teaching slots
+function closedCell(cfg, d, p){
+  if (p >= dayLength(cfg, d)) return `<td class="tt-closed"></td>`;
+  return isBreak(cfg, p) ? `<td class="small muted" style="text-align:center">—</td>` : null;
+}
+
+// Per class: the editable view. Lessons outside the filters are dimmed, not hidden, so the grid stays complete.
+function classGrids(tt, idx){
+  const days = viewDays(tt.cfg), periods = tt.cfg.periods;
+  const classIds = Array.from(new Set(tt.rows.map(r=>r.classId))).filter(cid => !ttView.classId || cid===ttView.classId);
+  const sel = selectedLesson(tt);
   let html = '';
-  for (const cls of classes){
-    html += `<div style="margin-bottom:16px;"><h3 style="margin:6px 0;">${cls}</h3><table><thead><tr><th>Day/Period</th>`;
-    for (let p=0;p<periods;p++){
-      if (lunch!=null && p===lunch) html += `<th>Lunch</th>`; else html += `<th>${p+1}</th>`;
-    }
+  for (const cid of classIds){
+    const cls = store.classes.find(c=>c.id===cid)?.name || '?';
+    html += `<div class="tt-sheet" style="margin-bottom:16px;"><h3 style="margin:6px 0;">${esc(cls)}</h3><table><thead><tr><th>Day/Period</th>${periodHeader(tt.cfg)}`;
     html += `</tr></thead><tbody>`;
-    for (let d=0; d<days; d++){
-      html += `<tr><th>${dayName(d)}</th>`;
+    for (const d of days){
+      html += `<tr><th>${dayName(d, tt.cfg)}</th>`;
+      for (let p=0;p<periods;p++){
+        const closed = closedCell(tt.cfg, d, p);
+        if (closed){ html += closed; continue; }
+        // several rows when the class is split into parallel groups
+        const cells = tt.rows.filter(r=> r.classId===cid && r.day===d && r.period===p);
+        const issues = Array.from(new Set(cells.flatMap(c=>lessonIssues(c, idx))));
+        const selected = cells.some(c=>sel.includes(c));
+        const pinned = cells.length && lessonPinned(lessonAt(tt, cid, d, p));
+        const cls = 'tt-cell' + (selected ? ' tt-sel' : '') + (issues.length ? ' tt-bad' : '') + (cells.length && !cells.some(ttMatches) ? ' tt-dim' : '');
+        const body = cells.map((cell, i) =>
+          `<b>${pinned && i===0 ? '📌 ' : ''}${esc(store.subjects.find(s=>s.id===cell.subjectId)?.name || '?')}${cell.group ? ` <span class="muted">(${esc(cell.group)})</span>` : ''}</b>`
+          + `<div class="small muted">${esc(store.teachers.find(t=>t.id===cell.teacherId)?.name || '?')}${roomLabel(cell)}${withLabel(tt, cell)}</div>`).join('');
+        html += `<td class="${cls}" title="${esc(issues.join('; '))}" onclick="ttCellClick(${cid},${d},${p})">${body}</td>`;
+      }
+      html += `</tr>`;
+    }
+    html += `</tbody></table></div>`;
+  }
+  return html || '<div class="muted">No lessons match the filters.</div>';
+}
+
+// " · with Class B" for a lesson shared with combined classes, as HTML
+function withLabel(tt, row){
+  if (row.block==null) return '';
+  const others = new Set(tt.rows.filter(r=>r.block===row.block && r.classId!==row.classId).map(r=>r.classId));
+  return others.size ? ` · with ${esc([...others].map(id=>store.classes.find(c=>c.id===id)?.name || '?').join(', '))}` : '';
+}
+
+// Rows of one slot grouped by session, so a lesson shared by combined classes shows (and counts) once
+function sittings(cells){
+  const out = new Map();
+  cells.forEach((c, i) => { const k = c.block ?? `row${i}`; if (!out.has(k)) out.set(k, []); out.get(k).push(c); });
+  return [...out.values()];
+}
+// Periods covered by a teacher's or room's rows, a combined lesson counting once
+const periodCount = (rows) => new Set(rows.map((r, i) => r.block!=null ? `${r.block}-${r.day}-${r.period}` : i)).size;
+// "Class A + Class B" (or class codes) for the rows of one sitting, with the parallel group if any, as HTML
+function sittingClasses(rows, useCode){
+  const label = (id) => { const c = store.classes.find(c=>c.id===id); return c ? (useCode ? (c.code || c.name) : c.name) : '?'; };
+  return esc([...new Set(rows.map(r=>r.classId))].map(label).join(' + ') + (rows[0].group ? ` (${rows[0].group})` : ''));
+}
+
+function roomLabel(row){
+  if (row.roomId==null) return '';
+  return ` · ${esc(store.rooms.find(r=>r.id===row.roomId)?.code || '?')}`;
+}
+
+// Per room: who uses each room when; free open periods are highlighted like a teacher's free periods
+function roomGrids(tt, rows){
+  const days = viewDays(tt.cfg), periods = tt.cfg.periods;
+  if (!store.rooms.length) return '<div class="muted">No rooms defined.</div>';
+  let html = '';
+  for (const r of store.rooms){
+    const used = periodCount(tt.rows.filter(x=>x.roomId===r.id));
+    html += `<div class="tt-sheet" style="margin-bottom:16px;"><h3 style="margin:6px 0;">${esc(r.name)} <span class="small muted">(${esc(r.code)}) · ${esc(r.type)} · used ${used} periods</span></h3>`;
+    html += `<table><thead><tr><th>Day/Period</th>${periodHeader(tt.cfg)}</tr></thead><tbody>`;
+    for (const d of days){
+      html += `<tr><th>${dayName(d, tt.cfg)}</th>`;
       for (let p=0;p<periods;p++){
-        if (lunch!=null && p===lunch){ html += `<td class="small muted" style="text-align:center">—</td>`; continue; }
-        const cell = rows.find(r=> r.className===cls && r.day===d && r.period===p);
-        html += `<td>${cell ? `<b>${cell.subject}</b><div class="small muted">${cell.teacher}</div>` : ''}</td>`;
+        const closed = closedCell(tt.cfg, d, p);
+        if (closed){ html += closed; continue; }
+        const cells = rows.filter(x=>x.roomId===r.id && x.day===d && x.period===p);
+        if (!cells.length){
+          const off = store.roomAvailability.some(a=>a.roomId===r.id && a.day===d && a.period===p && !a.available);
+          html += `<td class="${off ? 'tt-off' : 'tt-free'}"></td>`; continue;
+        }
+        const sits = sittings(cells);
+        html += `<td class="${sits.length > 1 ? 'tt-bad' : ''}">${sits.map(rs =>
+          `<b>${esc(store.subjects.find(s=>s.id===rs[0].subjectId)?.name || '?')}</b><div class="small muted">${sittingClasses(rs)} · ${esc(store.teachers.find(t=>t.id===rs[0].teacherId)?.name || '?')}</div>`).join('')}</td>`;
       }
       html += `</tr>`;
     }
     html += `</tbody></table></div>`;
   }
-  wrap.innerHTML = html;
+  return html;
+}
+
+function teachersInView(rows){
+  const ids = new Set(rows.map(r=>r.teacherId));
+  // with only a teacher filter, that teacher's week is shown even when it is empty
+  return store.teachers.filter(t => ttView.teacherId ? t.id===ttView.teacherId : ids.has(t.id));
+}
+
+function teacherCellState(t, d, p){
+  return { on:'tt-free', avoid:'tt-free tt-avoid', off:'tt-off' }[availState(t.id, d, p)];
+}
+
+function loadBadge(n, max){
+  return `<span class="${n > max ? 'bad' : n===max ? 'muted' : 'ok'}">${n}/${max}</span>`;
+}
+// A teacher's periods in each week of the cycle against max/week: "week 18/20", or "A 18/20 · B 17/20"
+function weekLoads(tt, t){
+  const weeks = cycleWeeks(tt.cfg), mine = tt.rows.filter(r=>r.teacherId===t.id);
+  return Array.from({ length: weeks }, (_, w) => `${weeks > 1 ? weekName(w) : 'week'} `
+    + loadBadge(periodCount(mine.filter(r=>weekOf(tt.cfg, r.day)===w)), t.maxPerWeek)).join(' · ');
+}
+
+// Per teacher: "my week", with free periods highlighted and day/week totals against the caps
+function teacherGrids(tt, rows){
+  const days = viewDays(tt.cfg), periods = tt.cfg.periods;
+  const all = tt.rows; // loads always count every lesson, filters only limit what is shown
+  let html = '';
+  for (const t of teachersInView(rows)){
+    html += `<div class="tt-sheet" style="margin-bottom:16px;"><h3 style="margin:6px 0;">${esc(t.name)} <span class="small muted">(${esc(t.code)}) · ${weekLoads(tt, t)}</span></h3>`;
+    html += `<table><thead><tr><th>Day/Period</th>${periodHeader(tt.cfg)}<th>Load</th></tr></thead><tbody>`;
+    for (const d of days){
+      html += `<tr><th>${dayName(d, tt.cfg)}</th>`;
+      for (let p=0;p<periods;p++){
+        const closed = closedCell(tt.cfg, d, p);
+        if (closed){ html += closed; continue; }
+        const cells = rows.filter(r=>r.teacherId===t.id && r.day===d && r.period===p);
+        if (!cells.length){ html += `<td class="${teacherCellState(t, d, p)}"></td>`; continue; }
+        const sits = sittings(cells);
+        html += `<td class="${sits.length > 1 ? 'tt-bad' : ''}">${sits.map(rs =>
+          `<b>${esc(store.subjects.find(s=>s.id===rs[0].subjectId)?.name || '?')}</b><div class="small muted">${sittingClasses(rs)}${roomLabel(rs[0])}</div>`).join('')}</td>`;
+      }
+      html += `<td>${loadBadge(periodCount(all.filter(r=>r.teacherId===t.id && r.day===d)), t.maxPerDay)}</td></tr>`;
+    }
+    html += `</tbody></table></div>`;
+  }
+  return html || '<div class="muted">No lessons match the filters.</div>';
+}
+
+// Master staff overview: one row per teacher, day × period columns
+function masterGrid(tt, rows){
+  const days = viewDays(tt.cfg), periods = tt.cfg.periods;
+  const code = (list, id) => { const x = list.find(x=>x.id===id); return x ? (x.code || x.name) : '?'; };
+  let html = `<table class="tt-master"><thead><tr><th rowspan="2">Teacher</th>`;
+  for (const d of days) html += `<th colspan="${periods}">${dayName(d, tt.cfg)}</th>`;
+  html += `<th rowspan="2">Week</th></tr><tr>`;
+  for (const d of days) for (let p=0; p<periods; p++) html += `<th>${esc(isBreak(tt.cfg, p) ? periodName(tt.cfg, p)[0] : periodName(tt.cfg, p))}</th>`;
+  html += `</tr></thead><tbody>`;
+  const teachers = teachersInView(rows);
+  for (const t of teachers){
+    html += `<tr><th>${esc(t.name)}</th>`;
+    for (const d of days){
+      for (let p=0; p<periods; p++){
+        const closed = closedCell(tt.cfg, d, p);
+        if (closed){ html += closed; continue; }
+        const cells = rows.filter(r=>r.teacherId===t.id && r.day===d && r.period===p);
+        if (!cells.length){ html += `<td class="${teacherCellState(t, d, p)}"></td>`; continue; }
+        const sits = sittings(cells);
+        html += `<td class="small ${sits.length > 1 ? 'tt-bad' : ''}" title="${esc(sits.map(rs=>store.subjects.find(s=>s.id===rs[0].subjectId)?.name || '?').join(', '))}">`
+          + sits.map(rs => `${sittingClasses(rs, true)}<div class="muted">${esc(code(store.subjects, rs[0].subjectId))}</div>`).join('') + `</td>`;
+      }
+    }
+    html += `<td>${weekLoads(tt, t)}</td></tr>`;
+  }
+  html += `</tbody></table>`;
+  return teachers.length ? html : '<div class="muted">No lessons match the filters.</div>';
+}
+
+// ---------- Pins ----------
+function pinAt(classId, day, period){
+  return store.pins.find(x=>x.classId===classId && x.day===day && period >= x.period && period < x.period + (x.len || 1));
+}
+
+function renderPins(){
+  const div = document.getElementById('pinList');
+  if (!store.pins.length){ div.innerHTML = '<span class="muted">No pinned lessons. Select a lesson in the timetable and pin it to keep it where it is.</span>'; return; }
+  const name = (list, id) => list.find(x=>x.id===id)?.name || '?';
+  div.innerHTML = `<div class="row" style="justify-content:space-between;"><b>📌 ${store.pins.length} pinned lesson(s)</b><button class="ghost" onclick="clearPins()">Unpin all</button></div>`
+    + store.pins.map((x,i) => `
+    <div class="row" style="justify-content:space-between; border-top:1px dashed #e5e7eb; padding-top:6px; margin-top:6px;">
+      <div><b>${esc(name(store.classes, x.classId))}</b> · ${dayName(x.day)} ${esc(periodSpan(store.cfg, x.period, x.len || 1))} · ${esc(name(store.subjects, x.subjectId))}
+        <span class="muted">${esc((x.teacherIds || [x.teacherId]).map(id=>name(store.teachers, id)).join(' / '))}${(x.roomIds || [x.roomId]).some(id=>id!=null) ? ` · ${esc((x.roomIds || [x.roomId]).map(id=>name(store.rooms, id)).join(' / '))}` : ''}</span></div>
+      <button class="ghost" onclick="removePin(${i})">Unpin</button>
+    </div>`).join('');
+}
+window.removePin = (i) => { store.pins.splice(i, 1); save('Unpin lesson'); renderPins(); renderTimetable(); };
+window.clearPins = () => { store.pins = []; save('Unpin all lessons'); renderPins(); renderTimetable(); };
+
+// All rows of the lesson at a cell: the whole session (every period of a block, every combined class,
+// every parallel group) when it has a block number, else just that row. Sorted by period.
+function lessonAt(tt, classId, day, period){
+  const row = tt.rows.find(r=>r.classId===classId && r.day===day && r.period===period);
+  if (!row) return [];
+  return row.block==null ? [row] : tt.rows.filter(r=>r.block===row.block).sort((a,b)=>a.period-b.period);
+}
+
+function selectedLesson(tt){
+  return tt && ttSel ? lessonAt(tt, ttSel.classId, ttSel.day, ttSel.period) : [];
+}
+
+const lessonLen = (lesson) => new Set(lesson.map(r=>r.period)).size;
+const lessonClasses = (lesson) => Array.from(new Set(lesson.map(r=>r.classId)));
+const lessonPinned = (lesson) => lesson.some(r=>pinAt(r.classId, r.day, r.period));
+
+// One entry per teacher of the lesson (several for parallel groups), as rows of the selected class's first period
+function lessonParts(lesson){
+  const classId = ttSel?.classId ?? lesson[0].classId;
+  const first = lesson.find(r=>r.classId===classId);
+  return lesson.filter(r=>r.classId===classId && r.day===first.day && r.period===first.period);
+}
+// Every row taught by the same part: all periods and combined classes of one group
+const partRows = (lesson, part) => lesson.filter(r=>(r.group ?? null)===(part.group ?? null));
+
+// Number of distinct issues of some rows after applying `patch` to them
+function trialIssues(tt, rows, patch, check){
+  const trial = rows.map(r=>({ ...r, ...patch }));
+  const idx = timetableIndex(tt.rows.map(r=>{ const i = rows.indexOf(r); return i < 0 ? r : trial[i]; }));
+  return new Set(trial.flatMap(r=>check(r, idx))).size;
+}
+
+function renderTimetableEditor(tt){
+  const bar = document.getElementById('ttEdit');
+  const lesson = selectedLesson(tt);
+  if (!lesson.length){ bar.innerHTML = tt && tt.rows.length ? '<span class="muted">Click a lesson to edit it.</span>' : ''; return; }
+  const idx = timetableIndex(tt.rows);
+  const name = (list, id) => list.find(x=>x.id===id)?.name || '?';
+  const parts = lessonParts(lesson), row = parts[0], len = lessonLen(lesson);
+  const cls = lessonClasses(lesson).map(id=>name(store.classes, id)).join(' + ');
+  const when = `${dayName(row.day, tt.cfg)} ${periodSpan(tt.cfg, row.period, len)}`;
+  const selects = parts.map((part, i) => {
+    const rows = partRows(lesson, part);
+    const options = store.teachers.map(t=>{
+      // check the lesson as if it were given to this teacher
+      const n = trialIssues(tt, rows, { teacherId:t.id }, lessonIssues);
+      return `<option value="${t.id}" ${t.id===part.teacherId?'selected':''}>${esc(t.name)}${n ? ` (⚠ ${n})` : ' ✓'}</option>`;
+    }).join('');
+    const rooms = store.rooms.map(r=>{
+      const n = trialIssues(tt, rows, { roomId:r.id }, roomIssues);
+      return `<option value="${r.id}" ${r.id===part.roomId?'selected':''}>${esc(r.name)}${n ? ` (⚠ ${n})` : ' ✓'}</option>`;
+    }).join('');
+    return `${part.group ? `<span>${esc(part.group)}: ${esc(name(store.subjects, part.subjectId))}</span>` : `<span>${esc(name(store.subjects, part.subjectId))}</span>`}
+    <select onchange="ttSetTeacher(+this.value, ${i})">${options}</select>
+    ${store.rooms.length ? `<select onchange="ttSetRoom(+this.value, ${i})">${part.roomId==null ? '<option value="">No room</option>' : ''}${rooms}</select>` : ''}`;
+  }).join('');
+  const issues = Array.from(new Set(lesson.flatMap(r=>lessonIssues(r, idx))));
+  bar.innerHTML = `<span><b>${esc(cls)}</b> · ${esc(when)}</span>
+    ${selects}
+    <button class="ghost" onclick="ttTogglePin()">${lessonPinned(lesson) ? 'Unpin' : '📌 Pin'}</button>
+    <button class="ghost" onclick="ttRemoveLesson()">Remove ${len > 1 ? 'block' : 'lesson'}</button>
+    <button class="ghost" onclick="ttCellClick(${ttSel.classId},${ttSel.day},${ttSel.period})">Done</button>
+    <span class="muted">Click another cell of this class to move or swap.</span>
+    <span id="ttMsg" class="small"></span>
+    ${issues.length ? `<div class="bad" style="width:100%">${esc(issues.join('; '))}</div>` : ''}`;
+}
+
+// Can `len` periods starting at (day, period) hold a lesson of these classes? Returns why not, or null.
+function blockFits(tt, classIds, day, period, len, ignore){
+  if (period + len > dayLength(tt.cfg, day)) return `A ${len}-period block does not fit before the end of the day.`;
+  for (let p=period; p<period+len; p++){
+    if (isBreak(tt.cfg, p)) return `A ${len}-period block cannot cross ${periodName(tt.cfg, p)}.`;
+    if (tt.rows.some(r=>classIds.includes(r.classId) && r.day===day && r.period===p && !ignore.includes(r))) return `Not enough free periods here for ${classIds.length > 1 ? 'all combined classes' : `a ${len}-period block`}.`;
+  }
+  return null;
+}
+
+window.ttCellClick = (classId, day, period) => {
+  const tt = activeTimetable(); if (!tt) return;
+  const from = selectedLesson(tt);
+  if (!from.length || ttSel.classId!==classId){
+    ttSel = lessonAt(tt, classId, day, period).length ? { classId, day, period } : null;
+  } else if (from.some(r=>r.classId===classId && r.day===day && r.period===period)){
+    ttSel = null;
+  } else {
+    // move the selected lesson here, swapping with a lesson of the same shape already in the target cell
+    const to = lessonAt(tt, classId, day, period);
+    const place = (rows, d, p) => { const p0 = rows[0].period; for (const r of rows){ r.day = d; r.period = p + r.period - p0; } };
+    const reject = (text) => { renderTimetable(); msg('ttMsg', text, 3000, true); };
+    if (lessonPinned(from) || (to.length && lessonPinned(to))) return reject('Pinned lessons stay where they are. Unpin first to move them.');
+    if (to.length){
+      if (lessonClasses(from).length > 1 || lessonClasses(to).length > 1) return reject('Combined lessons can only move to free periods.');
+      if (lessonLen(to)!==lessonLen(from)) return reject(`Can only swap with a lesson of the same length (${lessonLen(from)} period${lessonLen(from) > 1 ? 's' : ''}).`);
+      const { day:d0, period:p0 } = from[0];
+      place(from, to[0].day, to[0].period); place(to, d0, p0);
+    } else {
+      const why = blockFits(tt, lessonClasses(from), day, period, lessonLen(from), from);
+      if (why) return reject(why);
+      place(from, day, period);
+    }
+    ttSel = null; save(`Move ${entityName('classes', classId)} ${entityName('subjects', from[0].subjectId)} to ${dayName(day)} ${periodLabel(tt.cfg, period)}`);
+  }
+  renderTimetable();
+};
+// Teacher or room of one part of the selected lesson; a pin on the lesson follows the change
+function setLessonPart(field, value, part){
+  const tt = activeTimetable();
+  const lesson = selectedLesson(tt); if (!lesson.length) return;
+  const p = lessonParts(lesson)[part];
+  for (const r of partRows(lesson, p)) r[field] = value;
+  const pin = lesson.map(r=>pinAt(r.classId, r.day, r.period)).find(Boolean);
+  if (pin && pin[field + 's']) pin[field + 's'][pinPartIndex(lesson, p)] = value;
+  else if (pin) pin[field] = value;
+  if (pin) renderPins();
+  save(`${field==='teacherId' ? 'Teacher' : 'Room'} of ${entityName('classes', p.classId)} ${entityName('subjects', p.subjectId)} ${dayName(p.day)}`); renderTimetable();
+}
+window.ttSetTeacher = (teacherId, part = 0) => setLessonPart('teacherId', teacherId, part);
+window.ttSetRoom = (roomId, part = 0) => setLessonPart('roomId', roomId || null, part);
+window.ttRemoveLesson = () => {
+  const tt = activeTimetable();
+  const lesson = selectedLesson(tt); if (!lesson.length) return;
+  tt.rows = tt.rows.filter(r=>!lesson.includes(r));
+  const pinned = new Set(lesson.map(r=>pinAt(r.classId, r.day, r.period)).filter(Boolean));
+  if (pinned.size){ store.pins = store.pins.filter(x=>!pinned.has(x)); renderPins(); }
+  ttSel = null; save(`Remove ${entityName('classes', lesson[0].classId)} ${entityName('subjects', lesson[0].subjectId)} ${dayName(lesson[0].day)}`); renderTimetable();
+};
+// Position of a parallel group in its load, which is the order pins list their teachers and rooms in
+function pinPartIndex(lesson, part){
+  const l = loadOf(part);
+  return l?.groups ? l.groups.findIndex(g=>g.name===part.group) : 0;
+}
+// Pin the selected lesson (a whole session pins as one) with its teachers and rooms, or unpin it
+window.ttTogglePin = () => {
+  const tt = activeTimetable();
+  const lesson = selectedLesson(tt); if (!lesson.length) return;
+  if (lessonPinned(lesson)){
+    const pinned = new Set(lesson.map(r=>pinAt(r.classId, r.day, r.period)));
+    store.pins = store.pins.filter(x=>!pinned.has(x));
+  } else {
+    const parts = lessonParts(lesson), row = parts[0], l = loadOf(row);
+    const pin = { classId: row.classId, day: row.day, period: row.period, subjectId: l ? l.subjectId : row.subjectId,
+      teacherId: row.teacherId, roomId: row.roomId ?? null, len: lessonLen(lesson) };
+    if (parts.length > 1){
+      const ordered = parts.slice().sort((a,b)=>pinPartIndex(lesson, a) - pinPartIndex(lesson, b));
+      pin.teacherIds = ordered.map(r=>r.teacherId);
+      pin.roomIds = ordered.map(r=>r.roomId ?? null);
+    }
+    store.pins.push(pin);
+  }
+  save(lessonPinned(lesson) ? 'Pin lesson' : 'Unpin lesson'); renderPins(); renderTimetable();
+};
+
+// ---------- Import preview ----------
+function renderImport(){
+  const card = document.getElementById('importPanel');
+  card.style.display = importDraft ? '' : 'none';
+  if (!importDraft) return;
+  const { name, data, from, errors, replaceErrors, broken, damaged } = importDraft;
+  const list = (items) => `<ul>${items.slice(0, 30).map(x=>`<li>${esc(x)}</li>`).join('')}${items.length > 30 ? `<li>… and ${items.length-30} more</li>` : ''}</ul>`;
+  const div = document.getElementById('importReport');
+  if (broken){
+    div.innerHTML = `<div class="bad"><b>The saved data could not be loaded, so the app started empty.</b>${list(errors)}</div>
+      <div class="row"><button class="ghost" onclick="downloadBackup()">Download saved data</button><button class="ghost" onclick="closeImport()">Dismiss</button></div>`;
+    return;
+  }
+  if (damaged){
+    div.innerHTML = `<div class="bad"><b>The saved data has problems. It was loaded anyway; fix or delete these entries.</b>${list(errors)}</div>
+      <div class="row"><button class="ghost" onclick="closeImport()">Dismiss</button></div>`;
+    return;
+  }
+  if (errors.length){
+    div.innerHTML = `<div class="bad"><b>${esc(name)} cannot be imported (${errors.length} problem(s)). Nothing was changed.</b>${list(errors)}</div>
+      <div class="row"><button class="ghost" onclick="closeImport()">Close</button></div>`;
+    return;
+  }
+  const count = (k) => Array.isArray(data[k]) ? data[k].length : 0;
+  const fresh = (k) => (data[k] || []).filter(x=>!store[k].some(y=>mergeKey(k, y)===mergeKey(k, x))).length;
+  div.innerHTML = `<div><b>${esc(name)}</b> <span class="muted">· schema ${esc(from)}${from < SCHEMA_VERSION ? ` (upgraded to ${SCHEMA_VERSION})` : ''}</span></div>
+    <table style="margin-top:6px;"><thead><tr><th>Add</th><th></th><th>In file</th><th>Here now</th><th>New</th></tr></thead><tbody>`
+    + MERGE_KINDS.map(k => `<tr><td><input type="checkbox" id="imp-${k}" ${fresh(k) ? 'checked' : 'disabled'}></td>
+      <td>${k[0].toUpperCase() + k.slice(1)}</td><td>${count(k)}</td><td>${store[k].length}</td><td>${fresh(k)}</td></tr>`).join('')
+    + `</tbody></table>
+    <div class="muted">Adding keeps everything here and brings in entries whose code (name for classes) is new, with their skills, availability and loads.</div>
+    ${replaceErrors.length ? `<div class="muted">Replacing is not possible, this file is not a complete timetable:${list(replaceErrors)}</div>` : ''}
+    <div class="footer">
+      <button class="ghost" onclick="closeImport()">Cancel</button>
+      <button class="red" onclick="importReplace()" ${replaceErrors.length ? 'disabled' : ''}>Replace everything</button>
+      <button onclick="importMerge()">Add selected</button>
+    </div>`;
+}
+
+window.closeImport = () => { importDraft = null; renderImport(); };
+window.importReplace = () => {
+  const from = importDraft.name;
+  if (!confirm(`Replace all current data with ${from}?`)) return;
+  Object.assign(store, importDraft.data); importDraft = null;
+  ttSel = null; initDefaultsIfEmpty(); save(`Replace data with ${from}`); renderAll();
+  msg('schedMsg', '✅ Imported.', 1500);
+};
+window.importMerge = () => {
+  const kinds = MERGE_KINDS.filter(k=>document.getElementById(`imp-${k}`).checked);
+  const { added, skipped } = mergeStore(store, importDraft.data, kinds);
+  for (const t of store.teachers) ensureAvailability(store, t.id);
+  save(`Merge ${importDraft.name}`); importDraft = null; renderAll();
+  msg('schedMsg', `✅ Added ${added.length} item(s)` + (skipped.length ? `, skipped ${skipped.length}: ${skipped.join('; ')}` : '') + '.', 6000);
+};
+window.downloadBackup = () => download('timetable-backup.json', localStorage.getItem('tt-data-backup') || '', 'application/json');
+
+// ---------- CSV import ----------
+function previewBulk(){
+  const kind = document.getElementById('bulkKind').value;
+  const rows = parseCSV(document.getElementById('bulkText').value);
+  if (rows.length < 2){ bulkDraft = null; renderBulk(); return msg('bulkMsg', 'Paste or choose a file with a header row and at least one data row.', 3000, true); }
+  // keep a mapping the user already picked for the same columns
+  const sameHeader = bulkDraft && bulkDraft.kind===kind && bulkDraft.rows[0].join('\t')===rows[0].join('\t');
+  const mapping = sameHeader ? bulkDraft.mapping : guessMapping(kind, rows[0]);
+  bulkDraft = { kind, rows, mapping, plan: planImport(store, kind, rows, mapping) };
+  renderBulk();
+}
+
+window.setBulkColumn = (field, col) => {
+  bulkDraft.mapping[field] = col;
+  bulkDraft.plan = planImport(store, bulkDraft.kind, bulkDraft.rows, bulkDraft.mapping);
+  renderBulk();
+};
+
+function renderBulk(){
+  const spec = CSV_KINDS[document.getElementById('bulkKind').value];
+  const map = document.getElementById('bulkMap'), report = document.getElementById('bulkReport');
+  document.getElementById('btnBulkApply').disabled = !bulkDraft || !bulkDraft.plan.some(p=>p.action==='create' || p.action==='update');
+  if (!bulkDraft){
+    map.innerHTML = `<span class="muted">Columns: ${spec.fields.map(f=>f.label + (f.need ? ' (required)' : '')).join(', ')}. Rows are matched ${spec.fields[0].key==='code' ? 'by code' : spec.fields[0].key==='name' ? 'by name' : 'by name or code'}; blank cells keep the current value.</span>`;
+    report.innerHTML = '';
+    return;
+  }
+  const header = bulkDraft.rows[0];
+  map.innerHTML = spec.fields.map(f => `<label>${f.label}${f.need ? ' *' : ''}<br><select onchange="setBulkColumn('${f.key}', +this.value)">
+    <option value="-1">— not in file —</option>${header.map((h,i)=>`<option value="${i}" ${bulkDraft.mapping[f.key]===i?'selected':''}>${esc(h || `Column ${i+1}`)}</option>`).join('')}</select></label>`).join('');
+  const plan = bulkDraft.plan;
+  const n = (a) => plan.filter(p=>p.action===a).length;
+  const show = (v) => v==null ? '—' : Array.isArray(v) ? v.join('+') : typeof v==='boolean' ? (v ? 'yes' : 'no') : v;
+  const detail = (p) => p.action==='reject' ? `<span class="bad">${esc(p.reason)}</span>`
+    : p.action==='update' ? esc(p.changes.map(c=>`${c.label}: ${show(c.from)} → ${show(c.to)}`).join(', ')) : '';
+  const listed = plan.filter(p=>p.action!=='same');
+  report.innerHTML = `<div style="margin-top:6px;"><span class="pill">${n('create')} to create</span><span class="pill">${n('update')} to update</span>
+    <span class="pill">${n('same')} unchanged</span><span class="pill ${n('reject') ? 'bad' : ''}">${n('reject')} rejected</span></div>`
+    + (listed.length ? `<table><thead><tr><th>Line</th><th></th><th>Entry</th><th>Details</th></tr></thead><tbody>`
+      + listed.map(p=>`<tr><td>${p.line}</td><td>${p.action}</td><td>${esc(p.label)}</td><td>${detail(p)}</td></tr>`).join('') + '</tbody></table>' : '');
+}
+
+// ---------- Cover for absent teachers ----------
+// Timetable in use on an ISO date: the shown one, or the newest of another term when the date falls in it
+function coverTimetable(date){
+  const term = termOn(date);
+  if (!term || term.id===store.activeTerm) return activeTimetable();
+  return store.timetables.filter(t=>t.termId===term.id).at(-1) || null;
+}
+// Day of the rotation cycle an ISO date falls on in a timetable; null when school is closed that day
+const timetableDay = (tt, date) => cycleDayOf(publishCfg(tt), date);
+
+function absentAt(teacherId, date, period){
+  return store.absences.some(a=>a.teacherId===teacherId && a.date===date && (!a.periods || a.periods.includes(period)));
+}
+
+// Lessons on `date` whose teacher is away: one per teacher and period, combined classes listed together
+function coverNeeds(tt, date){
+  const day = tt && timetableDay(tt, date);
+  if (!tt || day==null) return [];
+  const needs = new Map();
+  for (const r of tt.rows){
+    if (r.day!==day || !absentAt(r.teacherId, date, r.period)) continue;
+    const k = `${r.teacherId}-${r.period}`;
+    if (!needs.has(k)) needs.set(k, { date, day, period:r.period, absentId:r.teacherId, subjectId:r.subjectId, roomId:r.roomId, group:r.group, classIds:[] });
+    const need = needs.get(k);
+    if (!need.classIds.includes(r.classId)) need.classIds.push(r.classId);
+  }
+  return Array.from(needs.values()).sort((a,b)=>a.period-b.period || a.absentId-b.absentId);
+}
+
+function coverOf(need){
+  return store.covers.find(c=>c.date===need.date && c.period===need.period && c.absentId===need.absentId);
+}
+
+// Teachers who can take a lesson, best first: qualified, still under maxPerDay, fewest covers so far.
+// Anyone teaching, covering, absent or unavailable in that period is left out.
+function coverCandidates(tt, need){
+  const { date, day, period } = need;
+  const current = coverOf(need);
+  const others = store.covers.filter(c=>c!==current);
+  const list = [];
+  for (const t of store.teachers){
+    if (t.id===need.absentId || absentAt(t.id, date, period)) continue;
+    if (tt.rows.some(r=>r.teacherId===t.id && r.day===day && r.period===period)) continue;
+    if (others.some(c=>c.teacherId===t.id && c.date===date && c.period===period)) continue;
+    if (availState(t.id, day, period)==='off') continue;
+    const today = periodCount(tt.rows.filter(r=>r.teacherId===t.id && r.day===day && !absentAt(t.id, date, r.period)))
+      + others.filter(c=>c.teacherId===t.id && c.date===date).length;
+    list.push({
+      teacher: t,
+      qualified: store.canTeach.some(x=>x.teacherId===t.id && x.subjectId===need.subjectId),
+      headroom: t.maxPerDay - today,
+      covers: others.filter(c=>c.teacherId===t.id).length
+    });
+  }
+  return list.sort((a,b)=>(b.qualified - a.qualified) || ((b.headroom > 0) - (a.headroom > 0)) || (a.covers - b.covers) || (b.headroom - a.headroom));
+}
+
+function coverLabel(c){
+  return `${c.teacher.name} · ${c.qualified ? 'qualified' : 'not qualified'} · `
+    + (c.headroom > 0 ? `${c.headroom} left today` : 'over max/day') + ` · ${c.covers} cover(s) so far`;
+}
+
+function renderCover(){
+  const name = (list, id) => list.find(x=>x.id===id)?.name || '?';
+  document.getElementById('coverDate').value = coverDate;
+  const absences = store.absences.filter(a=>a.date===coverDate);
+  document.getElementById('absenceList').innerHTML = absences.length
+    ? absences.map(a => `
+    <div class="row" style="justify-content:space-between; border-top:1px dashed #e5e7eb; padding-top:6px; margin-top:6px;">
+      <div><b>${esc(name(store.teachers, a.teacherId))}</b> · ${a.periods ? esc(a.periods.map(p=>periodLabel(store.cfg, p)).join(', ')) : 'all day'}
+        ${a.note ? `<span class="muted">(${esc(a.note)})</span>` : ''}</div>
+      <button class="ghost" onclick="removeAbsence(${a.id})">Delete</button>
+    </div>`).join('')
+    : '<span class="muted">No absences on this date.</span>';
+
+  const div = document.getElementById('coverList');
+  const tt = coverTimetable(coverDate);
+  const day = tt && timetableDay(tt, coverDate);
+  const needs = coverNeeds(tt, coverDate);
+  if (!absences.length) div.innerHTML = '';
+  else if (!tt) div.innerHTML = `<span class="muted">Generate a timetable${termOn(coverDate) ? ` for ${esc(termOn(coverDate).name)}` : ''} to see which lessons need cover.</span>`;
+  else if (day==null) div.innerHTML = `<span class="muted">No school on ${coverDate}.</span>`;
+  else if (!needs.length) div.innerHTML = '<span class="muted">The absent teachers have no lessons then.</span>';
+  else {
+    const early = coverDate < store.cfg.weekStart ? `<div class="bad">${coverDate} is before the timetable's week start (${store.cfg.weekStart}).</div>` : '';
+    div.innerHTML = early + `<table><thead><tr><th>${dayName(day, tt.cfg)}</th><th>Lesson</th><th>Absent</th><th>Cover</th></tr></thead><tbody>`
+      + needs.map((n,i) => {
+        const cover = coverOf(n);
+        const cands = coverCandidates(tt, n);
+        const opts = cands.map(c=>`<option value="${c.teacher.id}" ${cover?.teacherId===c.teacher.id?'selected':''}>${esc(coverLabel(c))}</option>`);
+        if (cover && !cands.some(c=>c.teacher.id===cover.teacherId)) opts.unshift(`<option value="${cover.teacherId}" selected>⚠ ${esc(name(store.teachers, cover.teacherId))} · no longer free</option>`);
+        return `<tr><td>${esc(periodLabel(tt.cfg, n.period))}</td>
+          <td>${esc(n.classIds.map(id=>name(store.classes, id)).join(' + '))} · ${n.group ? `${esc(n.group)}: ` : ''}${esc(name(store.subjects, n.subjectId))}${n.roomId!=null ? ` · ${esc(name(store.rooms, n.roomId))}` : ''}</td>
+          <td>${esc(name(store.teachers, n.absentId))}</td>
+          <td><select class="${cover ? '' : 'bad'}" onchange="setCover(${i}, +this.value)"><option value="0">— needs cover —</option>${opts.join('')}</select></td></tr>`;
+      }).join('') + '</tbody></table>';
+  }
+
+  const duty = new Map();
+  for (const c of store.covers) duty.set(c.teacherId, (duty.get(c.teacherId)||0) + 1);
+  document.getElementById('coverDuty').innerHTML = store.covers.length
+    ? `<span class="muted">Cover duty so far:</span> ` + Array.from(duty).sort((a,b)=>b[1]-a[1]).map(([id,n])=>`<span class="pill">${esc(name(store.teachers, id))}: ${n}</span>`).join('')
+      + `<details><summary>History</summary>` + store.covers.slice().sort((a,b)=>b.date.localeCompare(a.date) || a.period-b.period).map(c =>
+        `<div>${esc(c.date)} ${esc(periodLabel(store.cfg, c.period))} · ${esc(c.classIds.map(id=>name(store.classes, id)).join(' + '))} ${esc(name(store.subjects, c.subjectId))}: `
+        + `${esc(name(store.teachers, c.teacherId))} for ${esc(name(store.teachers, c.absentId))} <span class="muted">(set ${new Date(c.at).toLocaleString()})</span></div>`).join('') + '</details>'
+    : '';
+}
+
+window.setCover = (i, teacherId) => {
+  const need = coverNeeds(coverTimetable(coverDate), coverDate)[i];
+  if (!need) return;
+  store.covers = store.covers.filter(c=>c!==coverOf(need));
+  if (teacherId) store.covers.push({ date:need.date, period:need.period, absentId:need.absentId, teacherId,
+    classIds:need.classIds, subjectId:need.subjectId, at:new Date().toISOString() });
+  save(`Cover ${need.date} ${periodLabel(store.cfg, need.period)}: ${teacherId ? entityName('teachers', teacherId) : 'none'}`); renderCover();
+};
+
+window.removeAbsence = (id) => {
+  const a = store.absences.find(a=>a.id===id);
+  store.absences = store.absences.filter(x=>x.id!==id);
+  // covers arranged for lessons the teacher now teaches after all did not happen
+  if (a) store.covers = store.covers.filter(c=>!(c.absentId===a.teacherId && c.date===a.date && !absentAt(a.teacherId, a.date, c.period)));
+  save(a ? `Remove absence of ${entityName('teachers', a.teacherId)} on ${a.date}` : 'Remove absence'); renderCover();
+};
+
+// One printable page with every lesson that needs cover on the selected date
+function printCoverSheet(){
+  const tt = coverTimetable(coverDate);
+  const needs = coverNeeds(tt, coverDate);
+  if (!needs.length) return msg('coverMsg', 'Nothing needs cover on this date.', 2500, true);
+  const name = (list, id) => list.find(x=>x.id===id)?.name || '?';
+  const rows = needs.map(n => {
+    const cover = coverOf(n);
+    return `<tr><td>${esc(periodLabel(tt.cfg, n.period))}</td><td>${esc(n.classIds.map(id=>name(store.classes, id)).join(' + '))}</td>
+      <td>${n.group ? `${esc(n.group)}: ` : ''}${esc(name(store.subjects, n.subjectId))}</td><td>${n.roomId!=null ? esc(name(store.rooms, n.roomId)) : ''}</td>
+      <td>${esc(name(store.teachers, n.absentId))}</td><td><b>${cover ? esc(name(store.teachers, cover.teacherId)) : '— needs cover —'}</b></td></tr>`;
+  }).join('');
+  const w = window.open('', '_blank');
+  if (!w) return msg('coverMsg', 'Allow pop-ups to print the cover sheet.', 2500, true);
+  w.document.write(`<!doctype html><title>Cover ${coverDate}</title>
+    <style>body{font:14px system-ui,sans-serif;margin:24px} table{border-collapse:collapse;width:100%} th,td{border:1px solid #999;padding:6px 8px;text-align:left}</style>
+    <h2>Cover sheet · ${dayName(needs[0].day, tt.cfg)} ${coverDate}</h2>
+    <table><thead><tr><th>Period</th><th>Class</th><th>Subject</th><th>Room</th><th>Absent</th><th>Cover</th></tr></thead><tbody>${rows}</tbody></table>`);
+  w.document.close();
+  w.print();
 }
 
 // ---------- Demo seed ----------
+// The demo data of model.js; weights and availability presets stay as they are
 function seedDemo(){
-  store.cfg = { periods:6, days:6, lunchAt:3, weekStart: isoMonday(new Date()) };
-  store.teachers = [
-    { id:1, name:'Alice', code:'T-A', maxPerDay:4, maxPerWeek:18, avoidConsec:true },
-    { id:2, name:'Bob',   code:'T-B', maxPerDay:5, maxPerWeek:22, avoidConsec:true },
-    { id:3, name:'Carol', code:'T-C', maxPerDay:4, maxPerWeek:18, avoidConsec:false }
-  ];
-  store.subjects = [
-    { id:1, name:'Mathematics', code:'MATH' },
-    { id:2, name:'Science',     code:'SCI' },
-    { id:3, name:'English',     code:'ENG' }
-  ];
-  store.classes = [
-    { id:1, name:'Class A' },
-    { id:2, name:'Class B' }
-  ];
-  store.loads = [
-    { classId:1, subjectId:1, ppw:4 },
-    { classId:1, subjectId:2, ppw:3 },
-    { classId:1, subjectId:3, ppw:3 },
-    { classId:2, subjectId:1, ppw:4 },
-    { classId:2, subjectId:2, ppw:3 },
-    { classId:2, subjectId:3, ppw:3 }
-  ];
-  store.canTeach = [
-    { teacherId:1, subjectId:1 }, { teacherId:1, subjectId:3 },
-    { teacherId:2, subjectId:2 }, { teacherId:2, subjectId:1 },
-    { teacherId:3, subjectId:3 }
-  ];
-  store.availability = [];
-  for (const t of store.teachers) ensureDefaultAvailabilityForTeacher(t.id);
-  // make Alice unavailable on Mon P1 and Tue P2
-  const a1 = store.availability.find(a=>a.teacherId===1 && a.day===0 && a.period===0); if (a1) a1.available=false;
-  const a2 = store.availability.find(a=>a.teacherId===1 && a.day===1 && a.period===1); if (a2) a2.available=false;
+  Object.assign(store, demoStore(), { weights: store.weights, availPresets: store.availPresets });
 }
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/* Command line: generate a timetable from a store file saved by the app (Data → Export JSON) */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { solveSchedule } from './scheduler.js';
+import { readStore } from './schema.js';
+import { lessonsCSV } from './export.js';
+import { nextId, schedulerInput } from './model.js';
+
+const USAGE = `Usage: timetable STORE.json [options]
+
+Generates a timetable for the store and writes it to stdout (or --out) as JSON or CSV.
+
+  --format json|csv        json: a timetable record as the app saves it (default); csv: one line per lesson
+  --out FILE               write to FILE instead of stdout
+  --term NAME              schedule that term's loads and pins (default: the term open in the app)
+  --attempts N             independent searches, the best one wins (default 3)
+  --time SECONDS           total time limit, shared by all attempts (default 10)
+  --seed N                 fixed random seed (an integer), for repeatable results
+  --allow-double-booking   let a teacher take two classes at once
+  --ignore-availability    schedule teachers when marked unavailable
+  --save                   also add the timetable to STORE.json and make it the active one
+  -h, --help               show this help
+
+Exit codes: 0 done, 1 bad arguments or store file, 2 no timetable found.`;
+
+function fail(text, code = 1){
+  process.stderr.write(`${text}\n`);
+  process.exit(code);
+}
+
+function count(value, name){
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) fail(`--${name}: must be a positive number (got ${value})`);
+  return n;
+}
+
+function seed(value){
+  const n = Number(value);
+  if (value.trim()==='' || !Number.isInteger(n)) fail(`--seed: must be a whole number (got ${value})`);
+  return n;
+}
+
+const { values: args, positionals } = (() => {
+  try {
+    return parseArgs({ allowPositionals: true, options: {
+      format: { type: 'string', default: 'json' },
+      out: { type: 'string' },
+      term: { type: 'string' },
+      attempts: { type: 'string', default: '3' },
+      time: { type: 'string', default: '10' },
+      seed: { type: 'string' },
+      'allow-double-booking': { type: 'boolean', default: false },
+      'ignore-availability': { type: 'boolean', default: false },
+      save: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    } });
+  } catch(e){ fail(`${e.message}\n\n${USAGE}`); }
+})();
+
+if (args.help){ process.stdout.write(`${USAGE}\n`); process.exit(0); }
+if (positionals.length !== 1) fail(USAGE);
+if (!['json', 'csv'].includes(args.format)) fail(`--format: must be json or csv (got ${args.format})`);
+
+const file = positionals[0];
+let text;
+try { text = readFileSync(file, 'utf8'); }
+catch(e){ fail(`Cannot read ${file}: ${e.message}`); }
+const { data, errors } = readStore(text);
+if (errors.length) fail(`${file} is not a valid store:\n${errors.map(e=>`  ${e}`).join('\n')}`);
+
+// The chosen term's loads and pins; the active term keeps them in the store itself
+let term = data.terms.find(t=>t.id===data.activeTerm) || null;
+if (args.term != null){
+  term = data.terms.find(t=>t.name.trim().toLowerCase()===args.term.trim().toLowerCase());
+  if (!term) fail(`--term: no term named "${args.term}" (terms: ${data.terms.map(t=>t.name).join(', ') || 'none'})`);
+}
+const input = schedulerInput(term && term.id!==data.activeTerm ? { ...data, loads: term.loads || [], pins: term.pins || [] } : data);
+
+let result;
+try {
+  result = solveSchedule(input, {
+    hDouble: !args['allow-double-booking'],
+    hAvail: !args['ignore-availability'],
+    weights: data.weights,
+    attempts: Math.round(count(args.attempts, 'attempts')),
+    timeLimitMs: count(args.time, 'time') * 1000,
+    seed: args.seed != null ? seed(args.seed) : undefined
+  });
+} catch(e){
+  const report = e.report;
+  const lines = [e.message, ...(report?.blockers || []).map(b=>`  ${b}`)];
+  if (report?.stuck){
+    const { stuck } = report;
+    const cls = data.classes.find(c=>c.id===stuck.classId)?.name || '?';
+    const sub = data.subjects.find(s=>s.id===stuck.subjectId)?.name || '?';
+    const reasons = Object.entries(stuck.reasons).sort((a,b)=>b[1]-a[1]).map(([why,n])=>`${why} (${n})`).join(', ');
+    lines.push(`  Placed at most ${stuck.placed} of ${stuck.total} lessons. Could not place ${cls} · ${sub}: ${reasons || 'no qualified teacher'}.`);
+  }
+  fail(lines.join('\n'), 2);
+}
+
+// Same record the app saves when it generates a timetable
+const id = nextId(data.timetables);
+const tt = { id, name: `Version ${id}`, createdAt: new Date().toISOString(), cfg: { ...data.cfg }, rows: result.rows };
+if (term) tt.termId = term.id;
+
+const output = args.format==='csv'
+  ? lessonsCSV(data, tt.rows, tt.cfg, term)
+  : JSON.stringify({ ...tt, score: result.score, attempts: result.attempts }, null, 2) + '\n';
+if (args.out) writeFileSync(args.out, output);
+else process.stdout.write(output);
+
+if (args.save){
+  data.timetables.push(tt);
+  data.activeTimetable = id;
+  writeFileSync(file, JSON.stringify(data, null, 2));
+}
+process.stderr.write(`${tt.name}: ${tt.rows.length} lessons, penalty ${result.score.total} (best of ${result.attempts})${args.save ? `, saved to ${file}` : ''}\n`);
@@ -0,0 +1,283 @@
+/* CSV / spreadsheet import: parsing, column mapping and upsert plans. No DOM access */
+
+import { isBreak, dayLength, periodName, periodLabel, periodIndex, cycleWeeks, cycleDays, SKILL_LEVELS } from './scheduler.js';
+
+// Rows of cells. Tab-separated when the text has tabs (a paste from a spreadsheet), else ; or , whichever
+// the first line uses more. Quoted cells may hold separators, newlines and "" for a quote.
+export function parseCSV(text){
+  const first = text.split(/\r?\n/, 1)[0];
+  const sep = first.includes('\t') ? '\t' : (first.split(';').length > first.split(',').length ? ';' : ',');
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++){
+    const ch = text[i];
+    if (quoted){
+      if (ch==='"' && text[i+1]==='"'){ cell += '"'; i++; }
+      else if (ch==='"') quoted = false;
+      else cell += ch;
+    }
+    else if (ch==='"' && cell==='') quoted = true;
+    else if (ch===sep){ row.push(cell); cell = ''; }
+    else if (ch==='\n' || ch==='\r'){
+      if (ch==='\r' && text[i+1]==='\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    }
+    else cell += ch;
+  }
+  if (cell!=='' || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c=>c.trim()!==''));
+}
+
+export const sameText = (a, b) => String(a ?? '').trim().toLowerCase()===String(b ?? '').trim().toLowerCase();
+
+// A teacher, subject, class or room by code or name, ignoring case
+function findRef(list, text, what){
+  const x = list.find(x=>sameText(x.code, text)) || list.find(x=>sameText(x.name, text));
+  if (!x) throw new Error(`no ${what} "${text}"`);
+  return x;
+}
+
+// Cell parsers by field type; each throws with a short reason
+const CSV_TYPES = {
+  text: (v) => v,
+  count: (v, f) => {
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < (f.min ?? 1)) throw new Error(`${f.label} must be a whole number of at least ${f.min ?? 1} (got "${v}")`);
+    return n;
+  },
+  bool: (v, f) => {
+    if (/^(yes|y|true|1|x|available)$/i.test(v)) return true;
+    if (/^(no|n|false|0|-|unavailable)$/i.test(v)) return false;
+    throw new Error(`${f.label} must be yes or no (got "${v}")`);
+  },
+  // yes / no, or "prefer not" (also avoid, maybe, ~) for a period the teacher would rather keep free
+  availability: (v, f) => /^(prefer ?not|avoid|maybe|~)$/i.test(v) ? 'avoid' : CSV_TYPES.bool(v, f),
+  numbers: (v, f) => {
+    const nums = v.split(/[\s,;+]+/).filter(Boolean).map(Number);
+    if (!nums.length || !nums.every(n=>Number.isInteger(n) && n >= 1)) throw new Error(`${f.label} must be a list like 2 2 1 (got "${v}")`);
+    return nums;
+  },
+  // 1-3 or (part of) the level's name: "preferred", "can teach", "if needed"
+  priority: (v, f) => {
+    const t = v.toLowerCase();
+    const p = /^[123]$/.test(t) ? Number(t) : Object.keys(SKILL_LEVELS).map(Number).find(k=>SKILL_LEVELS[k].toLowerCase().includes(t));
+    if (!p) throw new Error(`${f.label} must be 1 to 3, preferred, can teach or only if needed (got "${v}")`);
+    return p;
+  },
+  // "Mon" (week A), "Mon B" or "B Mon" in a rotation, or the day's number in the cycle
+  day: (v, f, data) => {
+    const names = ['mon','tue','wed','thu','fri','sat','sun'], cfg = data.cfg;
+    const words = v.trim().split(/[\s\-\/]+/);
+    const week = words.length > 1 ? words.find(w=>/^[a-z]$/i.test(w)) : null;
+    const name = words.find(w=>w!==week) ?? '';
+    let d = /^\d+$/.test(name) ? Number(name) - 1 : names.indexOf(name.slice(0, 3).toLowerCase());
+    if (d >= 0 && week) d = d < cfg.days ? (week.toUpperCase().charCodeAt(0) - 65) * cfg.days + d : -1;
+    if (d < 0 || d >= cycleDays(cfg))
+      throw new Error(`${f.label} must be a school day, ${cycleWeeks(cfg) > 1 ? 'Mon, Mon B' : 'Mon'} or 1 to ${cycleDays(cfg)} (got "${v}")`);
+    return d;
+  },
+  period: (v, f, data) => {
+    const p = periodIndex(data.cfg, v);
+    if (p==null) throw new Error(`${f.label} must be a period name from the bell schedule (got "${v}")`);
+    if (isBreak(data.cfg, p)) throw new Error(`${periodName(data.cfg, p)} is a break`);
+    return p;
+  }
+};
+
+const nextIdIn = (list) => list.reduce((m, x)=>Math.max(m, x.id), 0) + 1;
+
+// What each kind of row looks like. fields: the columns, in the order shown for mapping; `need` ones must be
+// filled, `create` ones only for new entries. resolve turns a parsed row into a record, find returns the
+// existing entry it updates (matched by code, classes by name), update lists the fields an import may change.
+export const CSV_KINDS = {
+  teachers: {
+    label: 'Teachers',
+    fields: [
+      { key:'code', label:'Code', type:'text', need:true },
+      { key:'name', label:'Name', type:'text', create:true },
+      { key:'maxPerDay', label:'Max / day', type:'count', aliases:['max per day','maxday'] },
+      { key:'maxPerWeek', label:'Max / week', type:'count', aliases:['max per week','maxweek'] },
+      { key:'avoidConsec', label:'Avoid consecutive', type:'bool', aliases:['avoid consec'] }
+    ],
+    update: ['name','maxPerDay','maxPerWeek','avoidConsec'],
+    key: (r) => r.code.toLowerCase(),
+    find: (data, r) => data.teachers.find(t=>sameText(t.code, r.code)),
+    describe: (r) => `${r.name || r.code} (${r.code})`,
+    create: (data, r) => data.teachers.push({ id: nextIdIn(data.teachers), name: r.name, code: r.code,
+      maxPerDay: r.maxPerDay ?? 4, maxPerWeek: r.maxPerWeek ?? 18, avoidConsec: r.avoidConsec ?? true })
+  },
+  subjects: {
+    label: 'Subjects',
+    fields: [
+      { key:'code', label:'Code', type:'text', need:true },
+      { key:'name', label:'Name', type:'text', create:true },
+      { key:'roomType', label:'Room type', type:'text' }
+    ],
+    update: ['name','roomType'],
+    key: (r) => r.code.toLowerCase(),
+    find: (data, r) => data.subjects.find(s=>sameText(s.code, r.code)),
+    describe: (r) => `${r.name || r.code} (${r.code})`,
+    create: (data, r) => data.subjects.push({ id: nextIdIn(data.subjects), name: r.name, code: r.code, roomType: r.roomType ?? '' })
+  },
+  rooms: {
+    label: 'Rooms',
+    fields: [
+      { key:'code', label:'Code', type:'text', need:true },
+      { key:'name', label:'Name', type:'text', create:true },
+      { key:'type', label:'Type', type:'text' },
+      { key:'capacity', label:'Capacity', type:'count', min:0, aliases:['seats'] }
+    ],
+    update: ['name','type','capacity'],
+    key: (r) => r.code.toLowerCase(),
+    find: (data, r) => data.rooms.find(x=>sameText(x.code, r.code)),
+    describe: (r) => `${r.name || r.code} (${r.code})`,
+    create: (data, r) => data.rooms.push({ id: nextIdIn(data.rooms), name: r.name, code: r.code, type: r.type || 'classroom', capacity: r.capacity ?? 30 })
+  },
+  classes: {
+    label: 'Classes',
+    fields: [
+      { key:'name', label:'Name', type:'text', need:true, aliases:['class'] },
+      { key:'size', label:'Pupils', type:'count', min:0, aliases:['size'] }
+    ],
+    update: ['size'],
+    key: (r) => r.name.toLowerCase(),
+    find: (data, r) => data.classes.find(c=>sameText(c.name, r.name)),
+    describe: (r) => r.name,
+    create: (data, r) => data.classes.push({ id: nextIdIn(data.classes), name: r.name, size: r.size ?? 0 })
+  },
+  // one load per class and subject; combined classes and parallel groups are set up in the form, an import
+  // only changes their periods
+  loads: {
+    label: 'Loads',
+    fields: [
+      { key:'class', label:'Class', type:'text', need:true },
+      { key:'subject', label:'Subject', type:'text', need:true },
+      { key:'ppw', label:'Periods / week', type:'count', create:true, aliases:['periods per week','per week'] },
+      { key:'blocks', label:'Blocks', type:'numbers' },
+      { key:'maxPerDay', label:'Max / day', type:'count', aliases:['max per day'] },
+      { key:'perCycle', label:'Per cycle', type:'bool', aliases:['cycle','per rotation'] }
+    ],
+    update: ['ppw','blocks','maxPerDay','perCycle'],
+    resolve: (data, r) => {
+      const rec = { ...r, classId: findRef(data.classes, r.class, 'class').id, subjectId: findRef(data.subjects, r.subject, 'subject').id };
+      const shared = data.loads.find(l=>l.subjectId===rec.subjectId && l.combineWith?.includes(rec.classId));
+      if (shared) throw new Error(`${r.class} has ${r.subject} combined with ${data.classes.find(c=>c.id===shared.classId)?.name || '?'}; change it there`);
+      return rec;
+    },
+    key: (r) => `${r.classId}-${r.subjectId}`,
+    find: (data, r) => data.loads.find(l=>l.classId===r.classId && l.subjectId===r.subjectId),
+    describe: (r) => `${r.class} · ${r.subject}`,
+    check: (r, old) => {
+      const ppw = r.ppw ?? old?.ppw, blocks = r.blocks ?? old?.blocks;
+      if (blocks && blocks.reduce((a,b)=>a+b, 0)!==ppw) throw new Error(`blocks ${blocks.join('+')} do not add up to ${ppw} periods`);
+      if (r.blocks && r.blocks.every(b=>b===1)) r.blocks = null; // all singles: no blocks
+      if (r.perCycle===false) r.perCycle = null; // every week is the default
+    },
+    create: (data, r) => {
+      const load = { classId: r.classId, subjectId: r.subjectId, ppw: r.ppw };
+      if (r.blocks) load.blocks = r.blocks;
+      if (r.maxPerDay) load.maxPerDay = r.maxPerDay;
+      if (r.perCycle) load.perCycle = true;
+      data.loads.push(load);
+    }
+  },
+  skills: {
+    label: 'Skills (who can teach what)',
+    fields: [
+      { key:'teacher', label:'Teacher', type:'text', need:true },
+      { key:'subject', label:'Subject', type:'text', need:true },
+      { key:'priority', label:'Priority', type:'priority', aliases:['preference','level'] }
+    ],
+    update: ['priority'],
+    resolve: (data, r) => ({ ...r, teacherId: findRef(data.teachers, r.teacher, 'teacher').id, subjectId: findRef(data.subjects, r.subject, 'subject').id }),
+    key: (r) => `${r.teacherId}-${r.subjectId}`,
+    find: (data, r) => data.canTeach.find(x=>x.teacherId===r.teacherId && x.subjectId===r.subjectId),
+    describe: (r) => `${r.teacher} teaches ${r.subject}`,
+    check: (r) => { if (r.priority===2) r.priority = null; }, // the default is stored as no priority
+    create: (data, r) => data.canTeach.push({ teacherId: r.teacherId, subjectId: r.subjectId, ...(r.priority ? { priority: r.priority } : {}) })
+  },
+  availability: {
+    label: 'Teacher availability',
+    fields: [
+      { key:'teacher', label:'Teacher', type:'text', need:true },
+      { key:'day', label:'Day', type:'day', need:true },
+      { key:'period', label:'Period', type:'period', need:true },
+      { key:'available', label:'Available', type:'availability', need:true },
+      { key:'avoid', label:'Prefer not', type:'bool', aliases:['avoid'] }
+    ],
+    update: ['available','avoid'],
+    resolve: (data, r) => {
+      if (r.period >= dayLength(data.cfg, r.day)) throw new Error(`school ends before ${periodName(data.cfg, r.period)} that day`);
+      return { ...r, teacherId: findRef(data.teachers, r.teacher, 'teacher').id };
+    },
+    key: (r) => `${r.teacherId}-${r.day}-${r.period}`,
+    find: (data, r) => data.availability.find(a=>a.teacherId===r.teacherId && a.day===r.day && a.period===r.period),
+    describe: (r, data) => `${r.teacher} · day ${r.day+1} ${periodLabel(data.cfg, r.period)}`,
+    // "prefer not" may come in either column; it is stored as available with avoid: true
+    check: (r) => {
+      if (r.available==='avoid'){ r.available = true; r.avoid = true; }
+      if (r.avoid && !r.available) throw new Error('an unavailable period cannot also be "prefer not"');
+      if (!r.avoid) r.avoid = null;
+    },
+    create: (data, r) => data.availability.push({ teacherId: r.teacherId, day: r.day, period: r.period, available: r.available, ...(r.avoid ? { avoid: true } : {}) })
+  }
+};
+
+// {fieldKey: column index or -1}, matching header cells to field keys, labels and aliases
+export function guessMapping(kind, header){
+  const norm = (s) => String(s).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const mapping = {};
+  for (const f of CSV_KINDS[kind].fields){
+    const names = [f.key, f.label, ...(f.aliases || [])].map(norm);
+    mapping[f.key] = header.findIndex(h=>names.includes(norm(h)));
+  }
+  return mapping;
+}
+
+// Dry run: one entry per data row (rows[0] is the header) with action create, update, same or reject.
+// Blank cells keep the current value on update and take the default on create.
+export function planImport(data, kind, rows, mapping){
+  const spec = CSV_KINDS[kind];
+  const plan = [], seen = new Map();
+  rows.slice(1).forEach((cells, i) => {
+    const line = i + 2;
+    try {
+      const parsed = {};
+      for (const f of spec.fields){
+        const col = mapping[f.key];
+        const raw = col >= 0 ? String(cells[col] ?? '').trim() : '';
+        if (raw===''){ if (f.need) throw new Error(`${f.label} is empty`); continue; }
+        parsed[f.key] = CSV_TYPES[f.type](raw, f, data);
+      }
+      const rec = spec.resolve ? spec.resolve(data, parsed) : parsed;
+      const key = spec.key(rec);
+      if (seen.has(key)) throw new Error(`same entry as line ${seen.get(key)}`);
+      seen.set(key, line);
+      const old = spec.find(data, rec);
+      if (spec.check) spec.check(rec, old);
+      const label = spec.describe(old ? { ...old, ...rec } : rec, data);
+      if (!old){
+        const missing = spec.fields.find(f=>f.create && rec[f.key]===undefined);
+        if (missing) throw new Error(`${missing.label} is needed for a new entry`);
+        plan.push({ line, action:'create', label, rec });
+        return;
+      }
+      const changes = spec.update
+        .filter(k => rec[k]!==undefined && JSON.stringify(old[k] ?? null)!==JSON.stringify(rec[k]))
+        .map(k => ({ key:k, label: spec.fields.find(f=>f.key===k).label, from: old[k], to: rec[k] }));
+      plan.push({ line, action: changes.length ? 'update' : 'same', label, target: old, changes });
+    } catch(e){
+      plan.push({ line, action:'reject', label: cells.join(' | '), reason: e.message });
+    }
+  });
+  return plan;
+}
+
+export function applyImport(data, kind, plan){
+  for (const p of plan){
+    if (p.action==='create') CSV_KINDS[kind].create(data, p.rec);
+    else if (p.action==='update') for (const c of p.changes){
+      if (c.to===null) delete p.target[c.key]; else p.target[c.key] = c.to;
+    }
+  }
+}
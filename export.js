@@ -0,0 +1,98 @@
+/* Publishing a saved timetable: lessons CSV and iCalendar files. No DOM access */
+
+import { periodName, cycleWeeks, weekOf, weekName } from './scheduler.js';
+
+export const DAY_NAMES = ['Mon','Tue','Wed','Thu','Fri','Sat','Sun'];
+
+// Start/end "HH:MM" of every period index, from the bell schedule
+const periodTimes = (cfg) => cfg.bell.map(b => ({ start: b.start, end: b.end }));
+
+// ISO date of a cycle day in the cycle starting at cfg.weekStart, or, given `from` (the start of a term),
+// the first date on or after it that falls on that cycle day
+export function lessonDate(cfg, day, from){
+  const d = new Date(cfg.weekStart + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + weekOf(cfg, day)*7 + day % cfg.days);
+  if (from){
+    const cycle = 7 * cycleWeeks(cfg);
+    d.setUTCDate(d.getUTCDate() + Math.ceil((new Date(from + 'T00:00:00Z') - d) / 864e5 / cycle) * cycle);
+  }
+  return d.toISOString().slice(0, 10);
+}
+
+// Rows grouped into sessions: every period of a block, every combined class, sorted by day and period.
+// Parallel groups stay separate sessions (each has its own teacher).
+export function lessonSessions(rows){
+  const map = new Map();
+  for (const r of rows){
+    const k = r.block!=null ? `${r.block}-${r.day}-${r.group ?? ''}` : `${r.classId}-${r.day}-${r.period}-${r.group ?? ''}`;
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(r);
+  }
+  return Array.from(map.values()).map(rs => {
+    const periods = rs.map(r=>r.period);
+    return { rows: rs, day: rs[0].day, from: Math.min(...periods), to: Math.max(...periods), classIds: Array.from(new Set(rs.map(r=>r.classId))) };
+  }).sort((a,b)=>a.day-b.day || a.from-b.from);
+}
+
+const csvCell = (v) => { const s = String(v ?? ''); return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; };
+
+// One line per lesson period and class, for spreadsheets. Dates are the first in `term` when one is given;
+// with a rotation a Week column says which week of the cycle the lesson is in.
+export function lessonsCSV(data, rows, cfg, term){
+  const times = periodTimes(cfg), weeks = cycleWeeks(cfg) > 1;
+  const find = (list, id) => list.find(x=>x.id===id);
+  const lines = [[...(weeks ? ['Week'] : []), 'Day','Date','Period','Start','End','Class','Subject','Group','Teacher','Teacher code','Room']];
+  const sorted = rows.slice().sort((a,b)=>a.day-b.day || a.period-b.period || a.classId-b.classId);
+  for (const r of sorted){
+    const t = find(data.teachers, r.teacherId);
+    lines.push([...(weeks ? [weekName(weekOf(cfg, r.day))] : []), DAY_NAMES[r.day % cfg.days], lessonDate(cfg, r.day, term?.start),
+      periodName(cfg, r.period), times[r.period].start, times[r.period].end,
+      find(data.classes, r.classId)?.name, find(data.subjects, r.subjectId)?.name, r.group, t?.name, t?.code,
+      r.roomId!=null ? find(data.rooms, r.roomId)?.name : '']);
+  }
+  return lines.map(l=>l.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// iCalendar text: escape, and fold lines longer than 75 bytes
+const icsText = (s) => String(s).replace(/[\\;,]/g, (c)=>'\\' + c).replace(/\r?\n/g, '\\n');
+function icsFold(line){
+  let out = '', n = 0;
+  for (const ch of line){
+    const cp = ch.codePointAt(0), bytes = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    if (n + bytes > 75){ out += '\r\n '; n = 1; }
+    out += ch; n += bytes;
+  }
+  return out;
+}
+
+// Recurring events for one teacher ({teacherId}) or one class ({classId}), each session starting on its
+// day of the cycle at cfg.weekStart and repeating every cycle. With a term ({start,end}) they run from its
+// first day to its last. Times are floating local times, as on the school clock.
+export function timetableICS(data, rows, cfg, { teacherId, classId, calName, uidPrefix = 'tt', term }){
+  const times = periodTimes(cfg);
+  const name = (list, id) => list.find(x=>x.id===id)?.name || '?';
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  const mine = rows.filter(r => teacherId!=null ? r.teacherId===teacherId : r.classId===classId);
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Teacher Timetable//EN', 'CALSCALE:GREGORIAN', `X-WR-CALNAME:${icsText(calName)}`];
+  for (const s of lessonSessions(mine)){
+    const r = s.rows[0];
+    const iso = lessonDate(cfg, s.day, term?.start);
+    if (term && iso > term.end) continue; // a term shorter than the cycle misses this day
+    const date = iso.replace(/-/g, '');
+    const at = (hhmm) => `${date}T${hhmm.replace(':', '')}00`;
+    const subject = name(data.subjects, r.subjectId) + (r.group ? ` (${r.group})` : '');
+    const classes = s.classIds.map(id=>name(data.classes, id)).join(' + ');
+    lines.push('BEGIN:VEVENT',
+      `UID:${uidPrefix}-${teacherId!=null ? `t${teacherId}` : `c${classId}`}-d${s.day}-p${s.from}${r.group ? `-${r.group.replace(/\W+/g, '')}` : ''}@timetable`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${at(times[s.from].start)}`,
+      `DTEND:${at(times[s.to].end)}`,
+      'RRULE:FREQ=WEEKLY' + (cycleWeeks(cfg) > 1 ? `;INTERVAL=${cycleWeeks(cfg)}` : '') + (term ? `;UNTIL=${term.end.replace(/-/g, '')}T235959` : ''),
+      `SUMMARY:${icsText(teacherId!=null ? `${subject} · ${classes}` : subject)}`,
+      `DESCRIPTION:${icsText(`${classes} · ${subject} · ${name(data.teachers, r.teacherId)}`)}`);
+    if (r.roomId!=null) lines.push(`LOCATION:${icsText(name(data.rooms, r.roomId))}`);
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
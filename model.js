@@ -0,0 +1,131 @@
+/* Data model: a new store, the demo data and what keeps a store complete. No DOM access */
+
+import { availabilityKey, defaultBell, isTeachingSlot, cycleDays, DEFAULT_WEIGHTS } from './scheduler.js';
+import { SCHEMA_VERSION } from './schema.js';
+
+export function nextId(arr){ return arr.length ? Math.max(...arr.map(x=>x.id||0))+1 : 1; }
+export function isoMonday(d){
+  const dd = new Date(d); const day = (dd.getDay()+6)%7; dd.setDate(dd.getDate()-day);
+  dd.setHours(0,0,0,0); return dd.toISOString().slice(0,10);
+}
+
+export function blankStore(today = new Date()){
+  return {
+    schemaVersion: SCHEMA_VERSION, // bumped with a migration in schema.js whenever the format changes
+    cfg: { periods: 6, days: 6, bell: defaultBell(6, 3), weekStart: isoMonday(today) }, // bell: {name,start,end,kind?} per slot, dayPeriods?, weeks?
+    teachers: [],        // {id,name,code,maxPerDay,maxPerWeek,avoidConsec}
+    subjects: [],        // {id,name,code,roomType}
+    classes: [],         // {id,name,size}
+    rooms: [],           // {id,name,code,type,capacity}
+    loads: [],           // {classId,subjectId,ppw,perCycle?,blocks?,maxPerDay?,allowedPeriods?,forbiddenPeriods?,notAfterLunch?}
+    canTeach: [],        // {teacherId,subjectId}
+    availability: [],    // {teacherId, day, period, available, avoid?} - avoid: available, but "prefer not"
+    availPresets: [],    // {id,name,days} - named availability patterns, see availPattern in app.js
+    roomAvailability: [], // {roomId, day, period, available} - rooms are open unless marked unavailable
+    pins: [],            // {classId,day,period,subjectId,teacherId,roomId,len} - lessons every generated timetable must keep
+    absences: [],        // {id,teacherId,date,periods?,note} - periods are 0-based, missing = all day
+    covers: [],          // {date,period,absentId,teacherId,classIds,subjectId,at} - cover history, also used for fair rotation
+    weights: { ...DEFAULT_WEIGHTS }, // soft-constraint weights, see PENALTY_LABELS in scheduler.js
+    terms: [],           // {id,name,start,end,loads?,pins?} - loads and pins of the active term are the ones above
+    activeTerm: null,    // id of the term being edited, null when no terms are set up
+    timetables: [],      // {id,name,createdAt,cfg,termId?,rows:[{day,period,classId,subjectId,teacherId}]}
+    activeTimetable: null // id of the timetable shown in the grid
+  };
+}
+
+// Lists each term keeps for itself; the active term's are the ones in the store
+export const TERM_LISTS = ['loads', 'pins'];
+
+// Every teaching slot of the cycle gets an availability record, available unless one says otherwise
+export function ensureAvailability(data, teacherId){
+  const set = new Set(data.availability.map(a=>availabilityKey(a.teacherId,a.day,a.period)));
+  for (let d=0; d<cycleDays(data.cfg); d++){
+    for (let p=0; p<data.cfg.periods; p++){
+      if (!isTeachingSlot(data.cfg, d, p)) continue;
+      const k = availabilityKey(teacherId,d,p);
+      if (!set.has(k)){
+        data.availability.push({ teacherId, day:d, period:p, available:true });
+      }
+    }
+  }
+}
+
+// Everything kept by period index follows its slot to where bell `to` has it (`origins[p]` is the old index of
+// new slot p, null for a new one). Records of slots that are gone or are breaks now are dropped; a pinned
+// double lesson only stays if its slots are still next to each other. A load keeps an "only in" list even when
+// none of its periods are left, so it cannot be placed rather than going anywhere. Returns those loads.
+export function remapPeriods(data, to, origins){
+  const moved = new Map();
+  origins.forEach((o, p) => { if (o!=null && !to.bell[p].kind) moved.set(o, p); });
+  const span = (p, len = 1) => {
+    const at = moved.get(p);
+    for (let k=1; k<len; k++) if (moved.get(p+k)!==at+k) return undefined;
+    return at;
+  };
+  const slots = (list) => list.filter(x=>moved.has(x.period)).map(x=>({ ...x, period: moved.get(x.period) }));
+  const periods = (ps) => ps.filter(p=>moved.has(p)).map(p=>moved.get(p));
+  const stranded = [];
+  data.availability = slots(data.availability);
+  data.roomAvailability = slots(data.roomAvailability);
+  for (const h of [data, ...data.terms.filter(t=>t.id!==data.activeTerm)]){
+    h.pins = h.pins.filter(x=>span(x.period, x.len)!=null).map(x=>({ ...x, period: span(x.period, x.len) }));
+    for (const l of h.loads){
+      if (l.forbiddenPeriods){ l.forbiddenPeriods = periods(l.forbiddenPeriods); if (!l.forbiddenPeriods.length) delete l.forbiddenPeriods; }
+      if (l.allowedPeriods?.length){ l.allowedPeriods = periods(l.allowedPeriods); if (!l.allowedPeriods.length) stranded.push(l); }
+    }
+  }
+  // an absence for periods that are all gone is no absence (and not a whole-day one)
+  data.absences = data.absences.filter(a=>!a.periods || a.periods.some(p=>moved.has(p)));
+  for (const a of data.absences) if (a.periods) a.periods = periods(a.periods);
+  data.covers = slots(data.covers);
+  // presets: one character per slot, new slots available
+  for (const x of data.availPresets) x.days = x.days.map(day => to.bell.map((b, p) => b.kind ? '0' : day[origins[p]] ?? '1').join(''));
+  return stranded;
+}
+
+// What solveSchedule and diagnoseSchedule read: the active term's loads and pins, nothing saved or historic
+export function schedulerInput(data){
+  const { cfg, teachers, subjects, classes, rooms, loads, canTeach, availability, roomAvailability, pins } = data;
+  return { cfg, teachers, subjects, classes, rooms, loads, canTeach, availability, roomAvailability, pins };
+}
+
+// Two classes, three teachers and three subjects: small enough to read, with a lab, double lessons and a gap in availability
+export function demoStore(today = new Date()){
+  const data = blankStore(today);
+  data.teachers = [
+    { id:1, name:'Alice', code:'T-A', maxPerDay:4, maxPerWeek:18, avoidConsec:true },
+    { id:2, name:'Bob',   code:'T-B', maxPerDay:5, maxPerWeek:22, avoidConsec:true },
+    { id:3, name:'Carol', code:'T-C', maxPerDay:4, maxPerWeek:18, avoidConsec:false }
+  ];
+  data.subjects = [
+    { id:1, name:'Mathematics', code:'MATH', roomType:'' },
+    { id:2, name:'Science',     code:'SCI',  roomType:'lab' },
+    { id:3, name:'English',     code:'ENG',  roomType:'' }
+  ];
+  data.classes = [
+    { id:1, name:'Class A', size:28 },
+    { id:2, name:'Class B', size:24 }
+  ];
+  data.rooms = [
+    { id:1, name:'Room 101', code:'R101', type:'classroom', capacity:30 },
+    { id:2, name:'Room 102', code:'R102', type:'classroom', capacity:30 },
+    { id:3, name:'Science Lab', code:'LAB', type:'lab', capacity:28 }
+  ];
+  data.loads = [
+    { classId:1, subjectId:1, ppw:4 },
+    { classId:1, subjectId:2, ppw:3, blocks:[2,1], maxPerDay:1 },
+    { classId:1, subjectId:3, ppw:3 },
+    { classId:2, subjectId:1, ppw:4 },
+    { classId:2, subjectId:2, ppw:3, blocks:[2,1], maxPerDay:1 },
+    { classId:2, subjectId:3, ppw:3 }
+  ];
+  data.canTeach = [
+    { teacherId:1, subjectId:1 }, { teacherId:1, subjectId:3 },
+    { teacherId:2, subjectId:2 }, { teacherId:2, subjectId:1 },
+    { teacherId:3, subjectId:3 }
+  ];
+  for (const t of data.teachers) ensureAvailability(data, t.id);
+  // make Alice unavailable on Mon P1 and Tue P2
+  for (const a of data.availability) if (a.teacherId===1 && ((a.day===0 && a.period===0) || (a.day===1 && a.period===1))) a.available = false;
+  return data;
+}
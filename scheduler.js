@@ -0,0 +1,977 @@
+/* Scheduler: constraint solver + diagnostics. No DOM access, so it also runs inside worker.js and under Node (cli.js) */
+
+export function availabilityKey(tid, d, p){ return `${tid}-${d}-${p}` }
+
+// Small seeded PRNG so a run can be reproduced from its seed
+function mulberry32(seed){
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Restart schedule 1,1,2,1,1,2,4,1,1,2,...
+function luby(i){
+  for (let k=1;; k++){
+    if (i === (1<<k)-1) return 1<<(k-1);
+    if (i < (1<<k)-1) return luby(i - (1<<(k-1)) + 1);
+  }
+}
+
+// ---------- Bell schedule ----------
+// cfg.bell lists the slots of a day in order, {name, start, end, kind?}; kind 'break' or 'lunch' marks the
+// ones without lessons. cfg.periods is its length, and cfg.dayPeriods[d], when set, ends day d early.
+export function defaultBell(periods, lunchAt){
+  const hhmm = (m) => `${String(Math.floor(m/60)).padStart(2,'0')}:${String(m%60).padStart(2,'0')}`;
+  let n = 0;
+  return Array.from({ length: periods }, (_, p) => p===lunchAt
+    ? { name:'Lunch', start: hhmm(510 + p*50), end: hhmm(555 + p*50), kind:'lunch' }
+    : { name: String(++n), start: hhmm(510 + p*50), end: hhmm(555 + p*50) });
+}
+export const isBreak = (cfg, p) => !!cfg.bell[p]?.kind;
+export const dayLength = (cfg, d) => Math.min(cfg.periods, cfg.dayPeriods?.[d % cfg.days] || cfg.periods);
+export const isTeachingSlot = (cfg, d, p) => p < dayLength(cfg, d) && !isBreak(cfg, p);
+// "not after lunch" is relative to the first lunch slot
+export function lunchIndex(cfg){
+  const i = cfg.bell.findIndex(b=>b.kind==='lunch');
+  return i < 0 ? null : i;
+}
+export const periodName = (cfg, p) => cfg.bell[p]?.name ?? String(p+1);
+// "P3" for numbered periods, the name itself for the rest ("Lunch", "Registration")
+export function periodLabel(cfg, p){
+  const n = periodName(cfg, p);
+  return /^\d+$/.test(n) ? `P${n}` : n;
+}
+// A period typed by name ("3", "Lunch") or, failing that, by position from 1; null if neither fits
+export function periodIndex(cfg, text){
+  const t = String(text).trim().toLowerCase();
+  const i = cfg.bell.findIndex(b=>b.name.toLowerCase()===t);
+  if (i >= 0) return i;
+  const n = Number(t);
+  return Number.isInteger(n) && n >= 1 && n <= cfg.periods ? n-1 : null;
+}
+
+// ---------- Rotation cycle ----------
+// cfg.weeks (default 1) weeks make one cycle, named A, B, ... Timetable days are numbered through the cycle:
+// day d is weekday d % cfg.days of week (d / cfg.days) | 0. Week A is the one starting at cfg.weekStart.
+export const cycleWeeks = (cfg) => cfg.weeks || 1;
+export const cycleDays = (cfg) => cfg.days * cycleWeeks(cfg);
+export const weekOf = (cfg, d) => (d / cfg.days) | 0;
+export const weekName = (w) => String.fromCharCode(65 + w);
+// Periods a load has in the whole cycle: ppw every week, or ppw in all when it is given per cycle
+export const loadTotal = (cfg, l) => l.perCycle ? l.ppw : l.ppw * cycleWeeks(cfg);
+// Cycle day of an ISO date: its weekday, in the cycle week it falls in counting whole weeks from the week
+// of cfg.weekStart (before it too); null on a day without school
+export function cycleDayOf(cfg, date){
+  const monday = (iso) => { const t = new Date(iso + 'T00:00:00Z'); return t.getTime() / 864e5 - (t.getUTCDay() + 6) % 7; };
+  const wd = (new Date(date + 'T00:00:00Z').getUTCDay() + 6) % 7;
+  if (wd >= cfg.days) return null;
+  const W = cycleWeeks(cfg), weeks = Math.round((monday(date) - monday(cfg.weekStart)) / 7);
+  return (((weeks % W) + W) % W) * cfg.days + wd;
+}
+
+// ---------- Diagnostics ----------
+// Cheap necessary conditions checked before searching. Each blocker alone makes the timetable impossible.
+export function diagnoseSchedule(data, opts){
+  const cfg = data.cfg;
+  const blockers = [], warnings = [];
+  const className = (id) => data.classes.find(c=>c.id===id)?.name;
+  const subjectName = (id) => data.subjects.find(s=>s.id===id)?.name;
+  const lunchAt = lunchIndex(cfg);
+  // with a rotation, totals are over the whole cycle
+  const W = cycleWeeks(cfg), D = cycleDays(cfg), per = W > 1 ? `per ${W}-week cycle` : 'per week';
+  let slotsPerCycle = 0;
+  for (let d=0; d<D; d++) for (let p=0; p<cfg.periods; p++) if (isTeachingSlot(cfg, d, p)) slotsPerCycle++;
+  const avail = new Set();
+  for (const a of data.availability) if (a.available) avail.add(availabilityKey(a.teacherId,a.day,a.period));
+
+  // loads pointing at deleted classes/subjects
+  for (const l of data.loads){
+    for (const id of loadClassIds(l)) if (!className(id)) blockers.push(`A load refers to a class that no longer exists (id ${id}).`);
+    for (const id of new Set([l.subjectId, ...loadParts(l).map(p=>p.subjectId)])) if (!subjectName(id)) blockers.push(`A load refers to a subject that no longer exists (id ${id}).`);
+  }
+
+  // combined classes and parallel groups
+  for (const l of data.loads){
+    const what = `${className(l.classId) || '?'} · ${subjectName(l.subjectId) || '?'}`;
+    const ids = loadClassIds(l), parts = loadParts(l);
+    if (new Set(ids).size !== ids.length) blockers.push(`${what}: a class is combined with itself or listed twice.`);
+    if (ids.length > 1 && parts.length > 1) blockers.push(`${what}: a load can combine classes or split into groups, not both.`);
+    if (l.groups && l.groups.length===1) blockers.push(`${what}: parallel groups need at least two groups.`);
+    if (parts.length > 1){
+      const able = new Set(data.canTeach.filter(x=>parts.some(p=>p.subjectId===x.subjectId)).map(x=>x.teacherId));
+      if (able.size < parts.length) blockers.push(`${what}: ${parts.length} groups need ${parts.length} different teachers at once, but only ${able.size} can teach them.`);
+    }
+  }
+
+  // blocks and placement rules of each load
+  for (const l of data.loads){
+    const what = `${className(l.classId) || '?'} · ${subjectName(l.subjectId) || '?'}`;
+    const blocks = loadBlocks(l);
+    if (blocks.reduce((n,b)=>n+b, 0) !== l.ppw){ blockers.push(`${what}: blocks ${blocks.join('+')} do not add up to ${l.ppw} periods.`); continue; }
+    // longest run of allowed periods that doesn't cross a break (or starts before lunch, for "not after lunch")
+    const mask = allowedPeriodMask(cfg, l);
+    let longest = 0, starts = 0;
+    for (let d=0; d<cfg.days; d++){
+      let run = 0;
+      for (let p=0; p<cfg.periods; p++){
+        const ok = mask[p] && isTeachingSlot(cfg, d, p);
+        run = ok ? run + 1 : 0;
+        if (ok && !(l.notAfterLunch && lunchAt!=null && p > lunchAt)) starts++;
+        longest = Math.max(longest, run);
+      }
+    }
+    const maxLen = Math.max(...blocks);
+    if (maxLen > longest) blockers.push(`${what}: a ${maxLen}-period block needs ${maxLen} allowed periods in a row without a break, the longest run is ${longest}.`);
+    if (starts===0) blockers.push(`${what}: no period is allowed by its placement rules.`);
+    const days = l.perCycle ? D : cfg.days;
+    if (l.maxPerDay && blocks.length > l.maxPerDay * days) blockers.push(`${what}: ${blocks.length} sessions need more than ${days} days at max ${l.maxPerDay} per day.`);
+  }
+
+  // pinned lessons: each takes one session of its load (of the pin's week, unless the load is per cycle),
+  // with a teacher qualified for it, inside the cycle
+  const pinned = new Map();
+  for (const pin of data.pins || []){
+    const len = pin.len || 1;
+    const what = `Pinned ${className(pin.classId) || '?'} · ${subjectName(pin.subjectId) || '?'} (day ${pin.day+1}, ${periodLabel(cfg, pin.period)})`;
+    const l = data.loads.find(l=>loadClassIds(l).includes(pin.classId) && l.subjectId===pin.subjectId);
+    if (!l){ blockers.push(`${what}: the class has no load for this subject.`); continue; }
+    const parts = loadParts(l), teacherIds = pin.teacherIds || [pin.teacherId];
+    if (teacherIds.length !== parts.length) blockers.push(`${what}: needs ${parts.length} teacher(s), one per group.`);
+    parts.forEach((part, i) => {
+      const teacher = data.teachers.find(t=>t.id===teacherIds[i]);
+      if (!teacher) blockers.push(`${what}: its teacher no longer exists.`);
+      else if (!data.canTeach.some(x=>x.teacherId===teacher.id && x.subjectId===part.subjectId)) blockers.push(`${what}: ${teacher.name} is not set up to teach ${subjectName(part.subjectId) || '?'}.`);
+    });
+    if (pin.day >= D || pin.period + len > dayLength(cfg, pin.day)) blockers.push(`${what}: outside the school week.`);
+    else for (let p=pin.period; p<pin.period+len; p++) if (isBreak(cfg, p)) blockers.push(`${what}: falls on ${periodName(cfg, p)}.`);
+    const key = `${l.classId}-${pin.subjectId}-${len}-${l.perCycle ? '' : weekOf(cfg, pin.day)}`;
+    pinned.set(key, (pinned.get(key)||0) + 1);
+    const sessions = loadBlocks(l).filter(b=>b===len).length;
+    if (pinned.get(key)===sessions + 1) blockers.push(`${what}: the load has ${sessions ? `only ${sessions}` : 'no'} ${len}-period session${sessions===1 ? '' : 's'} to pin.`);
+  }
+
+  // class loads vs. the periods the class actually has
+  const perClass = new Map();
+  for (const l of data.loads) for (const id of loadClassIds(l)) perClass.set(id, (perClass.get(id)||0) + loadTotal(cfg, l));
+  for (const [cid, n] of perClass){
+    if (n > slotsPerCycle) blockers.push(`${className(cid) || '?'} needs ${n} periods ${per} but only has ${slotsPerCycle} teaching periods.`);
+  }
+
+  // subject demand vs. the qualified teachers' capacity
+  const perSubject = new Map();
+  for (const l of data.loads) for (const p of loadParts(l)) perSubject.set(p.subjectId, (perSubject.get(p.subjectId)||0) + loadTotal(cfg, l));
+  for (const [sid, n] of perSubject){
+    const name = subjectName(sid) || '?';
+    const teachers = data.teachers.filter(t => data.canTeach.some(x=>x.teacherId===t.id && x.subjectId===sid));
+    if (teachers.length===0){
+      const classes = data.loads.filter(l=>loadParts(l).some(p=>p.subjectId===sid)).map(l=>className(l.classId) || '?');
+      blockers.push(`No teacher can teach ${name} (needed by ${classes.join(', ')}).`);
+      continue;
+    }
+    let byCap = 0, byCells = 0;
+    for (const t of teachers){
+      let cells = 0;
+      for (let d=0; d<D; d++) for (let p=0; p<cfg.periods; p++){
+        if (!isTeachingSlot(cfg, d, p)) continue;
+        if (!opts.hAvail || avail.has(availabilityKey(t.id,d,p))) cells++;
+      }
+      byCap += Math.min(t.maxPerWeek, t.maxPerDay * cfg.days) * W;
+      byCells += cells;
+    }
+    const who = teachers.map(t=>t.name).join(', ');
+    if (n > byCap) blockers.push(`${name} needs ${n} periods ${per} but its teachers (${who}) can give at most ${byCap} under their max/day and max/week limits.`);
+    if (n > byCells) blockers.push(`${name} needs ${n} periods ${per} but its teachers (${who}) are available for only ${byCells} slots.`);
+    if (n <= byCap && n <= byCells && n > byCap * 0.9) warnings.push(`${name} uses ${n} of ${byCap} possible periods of its teachers; little room to move.`);
+  }
+
+  // rooms: every lesson needs a free room of the subject's type, big enough for the class
+  const rooms = data.rooms || [];
+  if (rooms.length){
+    const perType = new Map();
+    for (const l of data.loads){
+      for (const part of loadParts(l)){
+        const type = roomTypeOf(data, part.subjectId);
+        perType.set(type, (perType.get(type)||0) + loadTotal(cfg, l));
+        const who = `${loadClassIds(l).map(id=>className(id) || '?').join(' + ')}${part.name ? ` (${part.name})` : ''}`;
+        if (!rooms.some(r=>r.type===type)) blockers.push(`${subjectName(part.subjectId) || '?'} needs a room of type "${type}" but there is none.`);
+        else if (!roomPoolFor(data, l, part).length) blockers.push(`${who} (${partSize(data, l, part)} pupils) does not fit in any "${type}" room for ${subjectName(part.subjectId) || '?'}.`);
+      }
+    }
+    const roomOff = new Set((data.roomAvailability || []).filter(a=>!a.available).map(a=>availabilityKey(a.roomId,a.day,a.period)));
+    for (const [type, n] of perType){
+      let cells = 0;
+      for (const r of rooms.filter(r=>r.type===type)){
+        for (let d=0; d<D; d++) for (let p=0; p<cfg.periods; p++) if (isTeachingSlot(cfg, d, p) && !roomOff.has(availabilityKey(r.id,d,p))) cells++;
+      }
+      if (cells && n > cells) blockers.push(`Lessons need ${n} periods in "${type}" rooms ${per} but those rooms are open for only ${cells}.`);
+    }
+  }
+
+  // overall teaching capacity
+  const need = data.loads.reduce((n,l)=>n + loadTotal(cfg, l) * loadParts(l).length, 0);
+  const cap = data.teachers.reduce((n,t)=>n+Math.min(t.maxPerWeek, t.maxPerDay * cfg.days), 0) * W;
+  if (need > cap) blockers.push(`Classes need ${need} periods ${per} but all teachers together can teach at most ${cap}.`);
+
+  return { blockers, warnings };
+}
+
+// ---------- Loads ----------
+// Session lengths of a load, e.g. [2,2,1] for 5 periods as two doubles and a single. Default: all singles.
+export function loadBlocks(l){
+  return Array.isArray(l.blocks) && l.blocks.length ? l.blocks : Array(l.ppw).fill(1);
+}
+
+// Classes sitting in the load's lessons: its class plus any classes combined with it
+export function loadClassIds(l){
+  return [l.classId, ...(l.combineWith || [])];
+}
+
+// Teachers needed at once: one per parallel group (each may teach its own subject), else one for the lesson
+export function loadParts(l){
+  return l.groups?.length ? l.groups.map(g=>({ name: g.name, subjectId: g.subjectId || l.subjectId, size: g.size || 0 }))
+    : [{ name: null, subjectId: l.subjectId, size: 0 }];
+}
+
+// 1 for every period index the load may use (allowedPeriods, when given, minus forbiddenPeriods).
+// An empty allowedPeriods allows nothing: it is what is left when the bell loses all of them.
+export function allowedPeriodMask(cfg, l){
+  const mask = new Uint8Array(cfg.periods).fill(l.allowedPeriods ? 0 : 1);
+  for (const p of l.allowedPeriods || []) if (p < cfg.periods) mask[p] = 1;
+  for (const p of l.forbiddenPeriods || []) if (p < cfg.periods) mask[p] = 0;
+  return mask;
+}
+
+// ---------- Rooms ----------
+export function roomTypeOf(data, subjectId){
+  return data.subjects.find(s=>s.id===subjectId)?.roomType || 'classroom';
+}
+
+// Pupils in one part of a load's lessons: all combined classes together, or one parallel group
+// (a group without a size counts as an even share of its class)
+export function partSize(data, l, part){
+  const size = (id) => data.classes.find(c=>c.id===id)?.size || 0;
+  if (l.groups?.length) return part.size || Math.ceil(size(l.classId) / l.groups.length);
+  return loadClassIds(l).reduce((n,id)=>n + size(id), 0);
+}
+
+// Rooms one part of a load can use, smallest first so big rooms stay free for big classes
+function roomPoolFor(data, l, part = loadParts(l)[0]){
+  const type = roomTypeOf(data, part.subjectId);
+  const size = partSize(data, l, part);
+  return (data.rooms || [])
+    .filter(r => r.type===type && (!r.capacity || r.capacity >= size))
+    .sort((a,b)=>(a.capacity||Infinity) - (b.capacity||Infinity));
+}
+
+// ---------- Soft constraints ----------
+export const DEFAULT_WEIGHTS = { consecutive: 3, loadSpread: 1, sameDay: 5, weekSpread: 2, gaps: 2, skill: 2, avoided: 3 };
+export const PENALTY_LABELS = {
+  consecutive: 'Consecutive lessons (same teacher & class)',
+  loadSpread: 'Teacher load spread',
+  sameDay: 'Same subject twice a day',
+  weekSpread: 'Lessons bunched in the week',
+  gaps: 'Free periods in teacher days',
+  skill: 'Lessons not given to a preferred teacher',
+  avoided: 'Lessons in "prefer not" periods'
+};
+
+// canTeach[].priority; a skill without one is a plain "can teach"
+export const SKILL_LEVELS = { 1: 'Preferred', 2: 'Can teach', 3: 'Only if needed' };
+export const skillPriority = (x) => x.priority || 2;
+
+// Penalties split into per-class and per-teacher parts, so the local search only re-scores what a move touched.
+// `st` holds the occupancy grids: classSlot/classSubj/classCont (per class, by slot), teacherSlot/teacherClass (per teacher), tWeek.
+// A block counts as one session: a double period is not "the same subject twice" or two consecutive lessons.
+function penaltyModel(data, weights, total){
+  const cfg = data.cfg, P = cfg.periods, D = cycleDays(cfg);
+  const w = { ...DEFAULT_WEIGHTS, ...weights };
+  // load spread only compares teachers who could be given any of the lessons
+  const needed = new Set(data.loads.flatMap(l=>loadParts(l).map(p=>p.subjectId)));
+  const active = data.teachers.map(t => data.canTeach.some(x=>x.teacherId===t.id && needed.has(x.subjectId)));
+  const nActive = active.filter(Boolean).length;
+  const mean = nActive ? total / nActive : 0;
+  // subjectId -> per teacher, how far their skill priority is below the best anyone has for it
+  const best = new Map();
+  for (const x of data.canTeach) best.set(x.subjectId, Math.min(best.get(x.subjectId) ?? 3, skillPriority(x)));
+  const tIndex = new Map(data.teachers.map((t,i)=>[t.id,i]));
+  const below = new Map([...best.keys()].map(sid=>[sid, new Uint8Array(data.teachers.length)]));
+  for (const x of data.canTeach) if (tIndex.has(x.teacherId)) below.get(x.subjectId)[tIndex.get(x.teacherId)] = skillPriority(x) - best.get(x.subjectId);
+  const skillCost = (ti, subjectId) => below.get(subjectId)?.[ti] || 0;
+  // per teacher, 1 for the slots marked "prefer not": available, but better left free
+  const avoid = data.teachers.map(()=>new Uint8Array(D*P));
+  for (const a of data.availability){
+    const ti = tIndex.get(a.teacherId);
+    if (ti!=null && a.available && a.avoid && a.day < D && a.period < P) avoid[ti][a.day*P + a.period] = 1;
+  }
+  const avoidCost = (ti, s, len) => { let n = 0; for (let i=0; i<len; i++) n += avoid[ti][s+i]; return n; };
+
+  function classRaw(st, ci, out){
+    const subj = st.classSubj[ci], cont = st.classCont[ci], taught = st.classSlot[ci];
+    const perSubject = new Map(); // subjectId -> sessions per day
+    for (let s=0; s<D*P; s++){
+      if (!subj[s]) continue;
+      // every period counts; for parallel groups only the first group's teacher is seen here
+      out.skill += skillCost(taught[s], subj[s]);
+      if (cont[s]) continue;
+      if (!perSubject.has(subj[s])) perSubject.set(subj[s], new Uint8Array(D));
+      perSubject.get(subj[s])[(s / P) | 0]++;
+    }
+    for (const perDay of perSubject.values()){
+      let k = 0; const days = [];
+      for (let d=0; d<D; d++) if (perDay[d]){ k += perDay[d]; days.push(d); }
+      out.sameDay += k - days.length;
+      // ideal distance between lesson days, e.g. 3 lessons in 6 days -> every other day
+      const ideal = Math.floor(D / Math.min(k, D));
+      for (let i=1; i<days.length; i++) out.weekSpread += Math.max(0, ideal - (days[i] - days[i-1]));
+    }
+    return out;
+  }
+
+  function teacherRaw(st, ti, out){
+    const busy = st.teacherSlot[ti], cls = st.teacherClass[ti];
+    for (let d=0; d<D; d++){
+      let first = -1, last = -1, taught = 0;
+      for (let p=0; p<P; p++){
+        if (!busy[d*P+p]) continue;
+        if (first<0) first = p;
+        last = p; taught++;
+        const s = d*P+p;
+        out.avoided += avoid[ti][s];
+        if (data.teachers[ti].avoidConsec && p>0 && busy[s-1] && cls[s-1]===cls[s] && !st.classCont[cls[s]][s]) out.consecutive++;
+      }
+      if (first<0) continue;
+      let span = 0;
+      for (let p=first; p<=last; p++) if (!isBreak(cfg, p)) span++;
+      out.gaps += span - taught;
+    }
+    if (active[ti]) out.loadSpread += Math.abs(st.tWeek[ti] - mean);
+    return out;
+  }
+
+  const zero = () => ({ consecutive:0, loadSpread:0, sameDay:0, weekSpread:0, gaps:0, skill:0, avoided:0 });
+  const weigh = (raw) => Object.keys(raw).reduce((n,k)=>n + w[k]*raw[k], 0);
+  return {
+    skillCost,
+    avoidCost,
+    classCost: (st, ci) => weigh(classRaw(st, ci, zero())),
+    teacherCost: (st, ti) => weigh(teacherRaw(st, ti, zero())),
+    score(st){
+      const raw = zero();
+      for (let ci=0; ci<st.classSlot.length; ci++) classRaw(st, ci, raw);
+      for (let ti=0; ti<st.teacherSlot.length; ti++) teacherRaw(st, ti, raw);
+      const breakdown = {};
+      for (const k of Object.keys(raw)) breakdown[k] = { raw: Math.round(raw[k]*10)/10, penalty: Math.round(w[k]*raw[k]*10)/10 };
+      return { total: Math.round(weigh(raw)*10)/10, breakdown };
+    }
+  };
+}
+
+// Score saved rows with the same model the solver optimises
+export function scoreTimetable(data, rows, weights){
+  const cfg = data.cfg, S = cycleDays(cfg) * cfg.periods;
+  const tIndex = new Map(data.teachers.map((t,i)=>[t.id,i]));
+  const cIndex = new Map(data.classes.map((c,i)=>[c.id,i]));
+  const st = {
+    classSlot: data.classes.map(()=>new Int32Array(S).fill(-1)),
+    classSubj: data.classes.map(()=>new Int32Array(S)),
+    classCont: data.classes.map(()=>new Uint8Array(S)),
+    teacherSlot: data.teachers.map(()=>new Uint16Array(S)),
+    teacherClass: data.teachers.map(()=>new Int32Array(S).fill(-1)),
+    tWeek: new Uint16Array(data.teachers.length)
+  };
+  let total = 0;
+  const blockAt = new Map(rows.filter(r=>r.block!=null).map(r=>[`${r.classId}-${r.day}-${r.period}`, r.block]));
+  const seen = new Set();
+  for (const r of rows){
+    const ci = cIndex.get(r.classId), ti = tIndex.get(r.teacherId), s = r.day*cfg.periods + r.period;
+    if (ci==null || ti==null || r.day>=cycleDays(cfg) || r.period>=cfg.periods) continue;
+    // parallel groups: the class side is the first group's row, as in the solver
+    if (st.classSlot[ci][s]===-1){
+      st.classSlot[ci][s] = ti; st.classSubj[ci][s] = r.subjectId;
+      if (r.block!=null && blockAt.get(`${r.classId}-${r.day}-${r.period-1}`)===r.block) st.classCont[ci][s] = 1;
+    }
+    // combined classes: the teacher's period counts once
+    const key = `${ti}-${s}-${r.block}`;
+    if (r.block!=null && seen.has(key)) continue;
+    seen.add(key);
+    st.teacherSlot[ti][s]++; st.teacherClass[ti][s] = ci; st.tWeek[ti]++;
+    total++;
+  }
+  return penaltyModel(data, weights, total).score(st);
+}
+
+// What a re-solve changed: periods now holding a different subject (moved lessons), and lessons that
+// stayed put but got another teacher or room
+export function compareTimetables(before, after){
+  const key = (r) => `${r.classId}-${r.day}-${r.period}-${r.group ?? ''}`;
+  const at = new Map(before.map(r=>[key(r), r]));
+  let moved = 0, teacher = 0, room = 0;
+  for (const r of after){
+    const b = at.get(key(r));
+    if (!b || b.subjectId!==r.subjectId){ moved++; continue; }
+    if (b.teacherId!==r.teacherId) teacher++;
+    if ((b.roomId ?? null)!==(r.roomId ?? null)) room++;
+  }
+  return { moved, teacher, room };
+}
+
+// ---------- Solver ----------
+// Sessions of one length within a load are interchangeable, so the search works on groups
+// (class, subject, block length): pick the group with the least slack (MRV), try its
+// (start slot, teacher, room) options, and forward-check every group that shares the class,
+// the teacher or the room. Restarts with a new random order follow the Luby sequence.
+// Each complete timetable is then improved by a local search on the weighted penalties;
+// the best of opts.attempts runs is returned.
+// data.pins are placed first and never move. opts.keep (the rows of an earlier timetable) turns on
+// re-solving: lessons are kept where they were unless the rules force them elsewhere.
+export function solveSchedule(data, opts, onProgress){
+  const cfg = data.cfg;
+  const hard = { noDoubleBooking: opts.hDouble, honorAvailability: opts.hAvail };
+  const weights = { ...DEFAULT_WEIGHTS, ...opts.weights };
+  const attempts = Math.max(1, opts.attempts || 1);
+  const timeLimit = opts.timeLimitMs || 10000;
+  const started = Date.now();
+  const rand = mulberry32(opts.seed ?? started);
+
+  if (data.loads.length === 0) throw new Error("No class loads defined.");
+
+  // Don't search at all when the data is provably infeasible
+  const preflight = diagnoseSchedule(data, opts);
+  if (preflight.blockers.length){
+    const err = new Error(`Found ${preflight.blockers.length} problem(s) in the data. See the report below.`);
+    err.report = { ...preflight, stuck: null };
+    throw err;
+  }
+
+  // Slots are indexed day*periods + period over the whole rotation cycle; breaks and the periods after
+  // a short day's end are never slots
+  const P = cfg.periods, D = cycleDays(cfg), S = D * P, W = cycleWeeks(cfg);
+  const lunchAt = lunchIndex(cfg);
+  const slotIds = [];
+  for (let d=0; d<D; d++){
+    for (let p=0; p<P; p++){
+      if (!isTeachingSlot(cfg, d, p)) continue;
+      slotIds.push(d*P + p);
+    }
+  }
+
+  const teachers = data.teachers;
+  const tIndex = new Map(teachers.map((t,i)=>[t.id,i]));
+  const cIndex = new Map(data.classes.map((c,i)=>[c.id,i]));
+  const avail = teachers.map(()=>new Uint8Array(S));
+  for (const a of data.availability){
+    const ti = tIndex.get(a.teacherId);
+    if (ti==null || !a.available || a.day>=D || a.period>=P) continue;
+    avail[ti][a.day*P + a.period] = 1;
+  }
+
+  // Rooms are only scheduled once at least one room exists; a room is open unless marked unavailable
+  const rooms = data.rooms || [];
+  const useRooms = rooms.length > 0;
+  const rIndex = new Map(rooms.map((r,i)=>[r.id,i]));
+  const roomAvail = rooms.map(()=>new Uint8Array(S).fill(1));
+  for (const a of data.roomAvailability || []){
+    const ri = rIndex.get(a.roomId);
+    if (ri==null || a.available || a.day>=D || a.period>=P) continue;
+    roomAvail[ri][a.day*P + a.period] = 0;
+  }
+
+  // One "kind" per class+subject: who may teach it, where, and its placement rules.
+  // Combined classes each get the kind of the load they sit in, so their sessions per day are counted too.
+  const kinds = new Map();
+  for (const l of data.loads){
+    for (const id of loadClassIds(l)){
+      const key = `${cIndex.get(id)}-${l.subjectId}`;
+      if (kinds.has(key)) continue;
+      kinds.set(key, {
+        classId: id, subjectId: l.subjectId, ci: cIndex.get(id),
+        pool: teachers.map((t,i)=>i).filter(i => data.canTeach.some(x=>x.teacherId===teachers[i].id && x.subjectId===l.subjectId)),
+        rooms: roomPoolFor(data, l).map(r=>rIndex.get(r.id)),
+        allowed: allowedPeriodMask(cfg, l),
+        maxPerDay: l.maxPerDay || Infinity,
+        notAfterLunch: !!l.notAfterLunch && lunchAt!=null,
+        perCycle: !!l.perCycle
+      });
+    }
+  }
+
+  // One group per load and block length, and per week of the cycle unless the load is given per cycle (`week`
+  // null: anywhere in the cycle); `after` is the last start slot used (sessions are placed in slot order).
+  // A session seats every class of `cis` and needs one teacher (and room) per part; `multi` when that is more than one of either.
+  const groups = [];
+  for (const l of data.loads){
+    const cis = loadClassIds(l).map(id=>cIndex.get(id));
+    const kind = kinds.get(`${cis[0]}-${l.subjectId}`);
+    const parts = loadParts(l).map(part => ({ name: part.name, subjectId: part.subjectId,
+      pool: teachers.map((t,i)=>i).filter(i => data.canTeach.some(x=>x.teacherId===teachers[i].id && x.subjectId===part.subjectId)),
+      rooms: roomPoolFor(data, l, part).map(r=>rIndex.get(r.id)) }));
+    const byLen = new Map();
+    for (const len of loadBlocks(l)) byLen.set(len, (byLen.get(len)||0) + 1);
+    const weeks = l.perCycle || W===1 ? [null] : Array.from({ length: W }, (_, w) => w);
+    for (const week of weeks) for (const [len, need] of byLen) groups.push({ kind, kinds: cis.map(ci=>kinds.get(`${ci}-${l.subjectId}`)), ci: cis[0], cis, parts,
+      multi: cis.length > 1 || parts.length > 1, len, need, week, pool: parts[0].pool, rooms: parts[0].rooms });
+  }
+  const total = data.loads.reduce((n,l)=>n + loadTotal(cfg, l), 0);
+  const model = penaltyModel(data, weights, data.loads.reduce((n,l)=>n + loadTotal(cfg, l) * loadParts(l).length, 0));
+  const groupsByClass = data.classes.map((c,ci)=>groups.filter(g=>g.cis.includes(ci)));
+  const groupsByTeacher = teachers.map((t,ti)=>groups.filter(g=>g.parts.some(p=>p.pool.includes(ti))));
+  const groupsByRoom = rooms.map((r,ri)=>groups.filter(g=>g.parts.some(p=>p.rooms.includes(ri))));
+
+  // Each pin takes one session of its load's group of that length (diagnoseSchedule checked they exist)
+  const pins = (data.pins || []).map(pin => {
+    const len = pin.len || 1, ci = cIndex.get(pin.classId);
+    const g = groups.find(g => g.cis.includes(ci) && g.kind.subjectId===pin.subjectId && g.len===len
+      && (g.week==null || g.week===weekOf(cfg, pin.day)) && g.need > (g.pinned || 0));
+    g.pinned = (g.pinned || 0) + 1;
+    return { g, s: pin.day*P + pin.period,
+      tis: (pin.teacherIds || [pin.teacherId]).map(id=>tIndex.get(id)), rooms: (pin.roomIds || [pin.roomId]).map(id=>rIndex.get(id)),
+      what: `Pinned ${data.classes[ci].name} · ${data.subjects.find(x=>x.id===pin.subjectId)?.name || '?'} (day ${pin.day+1}, ${periodLabel(cfg, pin.period)})` };
+  });
+
+  // Re-solve: where each class had which subject and teacher; every lesson not back in place costs KEEP_WEIGHT
+  const KEEP_WEIGHT = 1000;
+  const keep = opts.keep?.length ? { subj: data.classes.map(()=>new Int32Array(S).fill(-1)),
+    teacher: data.classes.map(()=>new Int32Array(S).fill(-1)), room: data.classes.map(()=>new Int32Array(S).fill(-1)) } : null;
+  for (const r of keep ? opts.keep : []){
+    const ci = cIndex.get(r.classId);
+    if (ci==null || r.day >= D || r.period >= P) continue;
+    const s = r.day*P + r.period;
+    if (keep.subj[ci][s]!==-1) continue; // parallel groups: the first group's row stands for the class
+    keep.subj[ci][s] = r.subjectId; keep.teacher[ci][s] = tIndex.get(r.teacherId) ?? -1; keep.room[ci][s] = rIndex.get(r.roomId) ?? -1;
+  }
+  const changed = (ci, s) => keep && keep.subj[ci][s]!==-1 && (classSubj[ci][s]!==keep.subj[ci][s] || classSlot[ci][s]!==keep.teacher[ci][s]) ? 1 : 0;
+  // how much of a candidate session matches the kept timetable: 2 per period with the same subject, +1 with the same teacher
+  function keptMatch(g, s, ti){
+    let n = 0;
+    for (let i=0; i<g.len; i++) if (keep.subj[g.ci][s+i]===g.parts[0].subjectId) n += keep.teacher[g.ci][s+i]===ti ? 3 : 2;
+    return n;
+  }
+
+  // Occupancy indexes, rebuilt on every restart
+  // tDay counts a teacher's periods per day of the cycle, tWeek in the whole cycle, tByWeek in each of its weeks
+  let classSlot, classSubj, classRoom, classCont, classPinned, classMulti, teacherSlot, teacherClass, roomSlot, tDay, tWeek, tByWeek, placed, st;
+  function reset(){
+    classSlot = data.classes.map(()=>new Int32Array(S).fill(-1)); // -> teacher index (of the first group)
+    classSubj = data.classes.map(()=>new Int32Array(S));          // -> subject id
+    classRoom = data.classes.map(()=>new Int32Array(S).fill(-1)); // -> room index
+    classCont = data.classes.map(()=>new Uint8Array(S));          // 1 = continues the block in the previous slot
+    classPinned = data.classes.map(()=>new Uint8Array(S));
+    classMulti = data.classes.map(()=>new Uint8Array(S));         // 1 = combined classes or parallel groups
+    roomSlot = rooms.map(()=>new Uint8Array(S));
+    teacherSlot = teachers.map(()=>new Uint16Array(S));
+    teacherClass = teachers.map(()=>new Int32Array(S).fill(-1));  // -> class index
+    tDay = teachers.map(()=>new Uint16Array(D));
+    tWeek = new Uint16Array(teachers.length);
+    tByWeek = teachers.map(()=>new Uint16Array(W));
+    st = { classSlot, classSubj, classCont, teacherSlot, teacherClass, tWeek };
+    placed = 0;
+    for (const k of kinds.values()) k.sessions = new Uint8Array(D);
+    for (const g of groups){ g.left = g.need; g.after = -1; g.stack = []; g.dirty = true; }
+  }
+
+  // Class-side rules for a session of g starting at s, or null if it may start there
+  function startReason(g, s){
+    const d = (s / P) | 0, p = s - d*P, k = g.kind;
+    if (g.week!=null && weekOf(cfg, d)!==g.week) return `not week ${weekName(g.week)}`;
+    if (k.notAfterLunch && p > lunchAt) return 'not allowed after lunch';
+    for (const kc of g.kinds) if (kc.sessions[d] >= k.maxPerDay) return 'max per day for the class reached';
+    for (let i=0; i<g.len; i++){
+      if (p+i >= dayLength(cfg, d) || isBreak(cfg, p+i)) return 'block would cross a break or the end of the day';
+      if (!k.allowed[p+i]) return 'period not allowed for this subject';
+      for (const ci of g.cis) if (classSlot[ci][s+i]!==-1) return 'class busy';
+    }
+    return null;
+  }
+
+  // Teacher-side rules for the whole session, or null if the teacher fits
+  function blockReason(g, ti, s){
+    const t = teachers[ti];
+    for (let i=0; i<g.len; i++){
+      if (hard.honorAvailability && !avail[ti][s+i]) return 'unavailable';
+      if (hard.noDoubleBooking && teacherSlot[ti][s+i]) return 'already teaching';
+    }
+    const d = (s / P) | 0;
+    if (tDay[ti][d] + g.len > t.maxPerDay) return 'max per day reached';
+    if (tByWeek[ti][weekOf(cfg, d)] + g.len > t.maxPerWeek) return 'max per week reached';
+    return null;
+  }
+
+  // A room free for len slots from s: `prefer` if it is still free, else the first free one of the pool
+  // that is not in `taken`. -1 when rooms are not in use, undefined when no room is free.
+  function roomFor(pool, s, len = 1, prefer = -1, taken = []){
+    if (!useRooms) return -1;
+    const free = (ri) => { if (taken.includes(ri)) return false; for (let i=0; i<len; i++) if (!roomAvail[ri][s+i] || roomSlot[ri][s+i]) return false; return true; };
+    if (prefer >= 0 && free(prefer)) return prefer;
+    return pool.find(free);
+  }
+
+  // Different teachers, and rooms, for every part of a multi session starting at s; preferred teachers who don't
+  // mind the slot, then the least loaded ones first
+  function assign(g, s){
+    const tis = [], ris = [];
+    const next = (j) => {
+      if (j===g.parts.length) return true;
+      const part = g.parts[j];
+      const ri = roomFor(part.rooms, s, g.len, -1, ris);
+      if (ri===undefined) return false;
+      const order = part.pool.filter(ti => !tis.includes(ti) && !blockReason(g, ti, s))
+        .sort((a,b)=>model.skillCost(a, part.subjectId) - model.skillCost(b, part.subjectId)
+          || model.avoidCost(a, s, g.len) - model.avoidCost(b, s, g.len) || tWeek[a]-tWeek[b]);
+      for (const ti of order){
+        tis.push(ti); ris.push(ri);
+        if (next(j+1)) return true;
+        tis.pop(); ris.pop();
+      }
+      return false;
+    };
+    return next(0) ? { tis, ris } : null;
+  }
+
+  // Number of start slots still open to the group (cached until its class, a teacher or a room changes)
+  function freeSlots(g){
+    if (!g.dirty) return g.free;
+    let n = 0;
+    for (const s of slotIds){
+      if (s <= g.after || startReason(g, s)) continue;
+      if (g.parts.length > 1){ if (assign(g, s)) n++; continue; }
+      if (roomFor(g.rooms, s, g.len)===undefined) continue;
+      for (const ti of g.pool) if (!blockReason(g, ti, s)){ n++; break; }
+    }
+    g.free = n; g.dirty = false;
+    return n;
+  }
+
+  // Class side and teacher/room side of one lesson period; `kind` counts the class's sessions per day
+  function sit(ci, s, subjectId, ti, ri, cont, kind = kinds.get(`${ci}-${subjectId}`)){
+    classSlot[ci][s] = ti; classSubj[ci][s] = subjectId; classRoom[ci][s] = ri; classCont[ci][s] = cont ? 1 : 0;
+    if (!cont) kind.sessions[(s / P) | 0]++;
+  }
+  function unsit(ci, s, kind = kinds.get(`${ci}-${classSubj[ci][s]}`)){
+    const ti = classSlot[ci][s], subjectId = classSubj[ci][s], ri = classRoom[ci][s], cont = classCont[ci][s];
+    classSlot[ci][s] = -1; classSubj[ci][s] = 0; classRoom[ci][s] = -1; classCont[ci][s] = 0;
+    if (!cont) kind.sessions[(s / P) | 0]--;
+    return { ti, subjectId, ri, cont };
+  }
+  function teach(ti, ri, s, ci){
+    teacherSlot[ti][s]++; teacherClass[ti][s] = ci;
+    if (ri >= 0) roomSlot[ri][s]++;
+    const d = (s / P) | 0;
+    tDay[ti][d]++; tWeek[ti]++; tByWeek[ti][weekOf(cfg, d)]++;
+  }
+  function unteach(ti, ri, s){
+    if (--teacherSlot[ti][s]===0) teacherClass[ti][s] = -1;
+    if (ri >= 0) roomSlot[ri][s]--;
+    const d = (s / P) | 0;
+    tDay[ti][d]--; tWeek[ti]--; tByWeek[ti][weekOf(cfg, d)]--;
+  }
+  function put(ci, s, subjectId, ti, ri, cont){
+    sit(ci, s, subjectId, ti, ri, cont);
+    teach(ti, ri, s, ci);
+  }
+  function take(ci, s){
+    const x = unsit(ci, s);
+    unteach(x.ti, x.ri, s);
+    return x;
+  }
+
+  // Invalidate cached slot counts. Rooms of one type are interchangeable, so a room change only matters
+  // to groups whose pool has (or just stopped having) too few free rooms for all their parts in those slots.
+  function touch(g, tis, ris, s){
+    for (const ci of g.cis) for (const h of groupsByClass[ci]) h.dirty = true;
+    for (const ti of tis) for (const h of groupsByTeacher[ti]) h.dirty = true;
+    for (const ri of ris){
+      if (ri < 0) continue;
+      for (const h of groupsByRoom[ri]){
+        if (h.dirty) continue;
+        for (let i=0; i<g.len && !h.dirty; i++){
+          let free = 0;
+          for (const rj of h.rooms) if (roomAvail[rj][s+i] && !roomSlot[rj][s+i] && ++free > h.parts.length) break;
+          if (free <= h.parts.length) h.dirty = true;
+        }
+      }
+    }
+  }
+  // The class side of a multi session shows the first part, like a single lesson
+  function place(g, s, tis, ris){
+    for (let i=0; i<g.len; i++){
+      g.cis.forEach((ci, c) => sit(ci, s+i, g.parts[0].subjectId, tis[0], ris[0], i>0, g.kinds[c]));
+      for (let j=0; j<tis.length; j++) teach(tis[j], ris[j], s+i, g.ci);
+    }
+    if (g.multi) for (const ci of g.cis) classMulti[ci].fill(1, s, s + g.len);
+    g.stack.push({ s, tis, ris, after: g.after }); g.after = s; g.left--; placed += g.len;
+    touch(g, tis, ris, s);
+  }
+  function unplace(g){
+    const { s, tis, ris, after } = g.stack.pop();
+    for (let i=0; i<g.len; i++){
+      g.cis.forEach((ci, c) => unsit(ci, s+i, g.kinds[c]));
+      for (let j=0; j<tis.length; j++) unteach(tis[j], ris[j], s+i);
+    }
+    if (g.multi) for (const ci of g.cis) classMulti[ci].fill(0, s, s + g.len);
+    g.after = after; g.left++; placed -= g.len;
+    touch(g, tis, ris, s);
+  }
+
+  // Pinned lessons go in first on every restart; returns why any of them cannot be placed
+  function placePins(){
+    const problems = [];
+    for (const x of pins){
+      const ris = [];
+      x.g.parts.forEach((part, j) => ris.push(x.rooms[j]!=null ? roomFor([x.rooms[j]], x.s, x.g.len, -1, ris) : roomFor(part.rooms, x.s, x.g.len, -1, ris)));
+      const why = x.tis.length!==x.g.parts.length || x.tis.includes(undefined) ? 'teacher not found'
+        : new Set(x.tis).size < x.tis.length ? 'every group needs a different teacher'
+        : startReason(x.g, x.s) || x.tis.map(ti=>blockReason(x.g, ti, x.s)).find(Boolean) || (ris.includes(undefined) ? 'no suitable room free' : null);
+      if (why){ problems.push(`${x.what}: ${why}.`); continue; }
+      // pins don't take part in the slot ordering of the group's other sessions
+      const after = x.g.after;
+      place(x.g, x.s, x.tis, ris);
+      x.g.after = after;
+      for (const ci of x.g.cis) classPinned[ci].fill(1, x.s, x.s + x.g.len);
+    }
+    return problems;
+  }
+  // Remember the deepest point the search reached, and why the blocked group would not fit there
+  let deepest = null;
+  function noteDeadEnd(g){
+    if (deepest && deepest.placed >= placed) return;
+    const reasons = {};
+    const count = (why) => { reasons[why] = (reasons[why]||0) + 1; };
+    const open = slotIds.filter(s => (g.week==null || weekOf(cfg, (s / P) | 0)===g.week) && g.cis.every(ci => classSlot[ci][s]===-1));
+    if (open.length===0) count('no free period left for the class');
+    for (const s of open){
+      const why = startReason(g, s);
+      if (why){ count(why); continue; }
+      if (roomFor(g.rooms, s, g.len)===undefined){ count('no suitable room free'); continue; }
+      for (const part of g.parts) for (const ti of part.pool) count(blockReason(g, ti, s) || 'fits, but too few such slots left');
+    }
+    deepest = { placed, total, classId: g.kind.classId, subjectId: g.kind.subjectId, remaining: g.left * g.len, reasons };
+  }
+
+  function pickGroup(){
+    let best = null, bestSlack = Infinity;
+    for (const g of groups){
+      if (!g.left) continue;
+      const slack = freeSlots(g) - g.left;
+      // longer blocks are harder to fit, so they go first on ties
+      if (slack < bestSlack || (slack===bestSlack && (g.len > best.len || (g.len===best.len && rand() < 0.5)))){ best = g; bestSlack = slack; }
+    }
+    return best;
+  }
+
+  // forward check: every group touched by the last placement must still fit
+  function consistent(g, tis, ris){
+    const touched = [...g.cis.map(ci=>groupsByClass[ci]), ...tis.map(ti=>groupsByTeacher[ti]), ...ris.filter(ri=>ri >= 0).map(ri=>groupsByRoom[ri])];
+    for (const list of touched){
+      for (const h of list) if (h.left && freeSlots(h) < h.left){ noteDeadEnd(h); return false; }
+    }
+    return true;
+  }
+
+  // prefer days the class doesn't have this subject yet, then preferred teachers outside their "prefer not"
+  // periods, then the least loaded one
+  function candidates(g){
+    const out = [];
+    for (const s of slotIds){
+      if (s <= g.after || startReason(g, s)) continue;
+      const spread = g.kind.sessions[(s / P) | 0] * 1000;
+      if (g.parts.length > 1){
+        const a = assign(g, s);
+        const kept = a && keep ? keptMatch(g, s, a.tis[0]) : 0;
+        if (a) out.push({ s, tis: a.tis, ris: a.ris, key: kept ? s - kept * 1e6 : spread + rand() * 10 });
+        continue;
+      }
+      const ri = roomFor(g.rooms, s, g.len, keep ? keep.room[g.ci][s] : -1);
+      if (ri===undefined) continue;
+      for (const ti of g.pool){
+        if (blockReason(g, ti, s)) continue;
+        // when re-solving, the kept placements come first, in slot order
+        const kept = keep ? keptMatch(g, s, ti) : 0;
+        const skill = weights.skill > 0 ? model.skillCost(ti, g.kind.subjectId) * 100 : 0;
+        const avoided = weights.avoided > 0 ? model.avoidCost(ti, s, g.len) * 100 : 0;
+        out.push({ s, tis: [ti], ris: [ri], key: kept ? s - kept * 1e6 : spread + skill + avoided + (weights.loadSpread > 0 ? tWeek[ti] * 10 : 0) + rand() * 10 });
+      }
+    }
+    return out.sort((a,b)=>a.key-b.key);
+  }
+
+  const ABORT = -1, TIMEOUT = -2;
+  let nodes = 0, budget = 0, restarts = 0, lastReport = started, attempt = 0, best = null;
+  function progress(now){
+    if (!onProgress || now - lastReport <= 200) return;
+    lastReport = now;
+    onProgress({ placed, best: deepest ? Math.max(deepest.placed, placed) : placed, total, restarts,
+      attempt, attempts, score: best ? best.score.total : null, elapsedMs: now - started });
+  }
+  function search(){
+    const g = pickGroup();
+    if (!g) return 1;
+    if (++nodes > budget) return ABORT;
+    if ((nodes & 255)===0){
+      const now = Date.now();
+      if (now - started > timeLimit) return TIMEOUT;
+      progress(now);
+    }
+    const cands = candidates(g);
+    if (cands.length===0) noteDeadEnd(g);
+    for (const c of cands){
+      place(g, c.s, c.tis, c.ris);
+      if (consistent(g, c.tis, c.ris)){
+        const r = search();
+        if (r===1) return 1;
+        if (r < 0){ unplace(g); return r; }
+      }
+      unplace(g);
+    }
+    return 0;
+  }
+
+  // hard rules for the local search (the lesson being moved has already been taken out)
+  function fits(ci, subjectId, ti, s){
+    const t = teachers[ti], k = kinds.get(`${ci}-${subjectId}`);
+    const d = (s / P) | 0, p = s - d*P;
+    if (!k.allowed[p] || (k.notAfterLunch && p > lunchAt) || k.sessions[d] >= k.maxPerDay) return false;
+    if (hard.honorAvailability && !avail[ti][s]) return false;
+    if (hard.noDoubleBooking && teacherSlot[ti][s]) return false;
+    return tDay[ti][d] < t.maxPerDay && tByWeek[ti][weekOf(cfg, d)] < t.maxPerWeek;
+  }
+  // single-period lessons of one class and teacher only; blocks and multi sessions stay where the search put them, pins where they were pinned
+  const contAt = (ci, s) => s < S && classCont[ci][s] && !classMulti[ci][s];
+  const single = (ci, s) => classSlot[ci][s]!==-1 && !classPinned[ci][s] && !classMulti[ci][s] && !classCont[ci][s] && !contAt(ci, s+1);
+
+  // Hill climbing with sideways moves: move a lesson, swap two lessons of a class, or change its teacher
+  function improve(deadline){
+    const lessons = [];
+    for (let ci=0; ci<classSlot.length; ci++) for (const s of slotIds) if (single(ci, s)) lessons.push(ci);
+    if (!lessons.length) return;
+    const pick = (arr) => arr[(rand() * arr.length) | 0];
+    let stale = 0;
+    for (let it=0; stale < 20 * total; it++){
+      if ((it & 255)===0){
+        const now = Date.now();
+        if (now > deadline) return;
+        progress(now);
+      }
+      const ci = pick(lessons);
+      const s1 = pick(slotIds.filter(s => single(ci, s)));
+      const a = { s: s1, ti: classSlot[ci][s1], subjectId: classSubj[ci][s1], ri: classRoom[ci][s1] };
+      let moves; // [{s, subjectId, ti, ri}] to put after taking `taken`; ri is re-picked if that room is busy
+      let taken = [a];
+      if (rand() < 0.25){
+        const ti = pick(kinds.get(`${ci}-${a.subjectId}`).pool);
+        if (ti===a.ti){ stale++; continue; }
+        moves = [{ s: s1, subjectId: a.subjectId, ti, ri: a.ri }];
+      } else {
+        const s2 = pick(slotIds);
+        if (s2===s1 || (classSlot[ci][s2]!==-1 && !single(ci, s2))){ stale++; continue; }
+        // a lesson given every week stays in its week of the cycle
+        const sameWeek = weekOf(cfg, (s1 / P) | 0)===weekOf(cfg, (s2 / P) | 0);
+        if (!sameWeek && !kinds.get(`${ci}-${a.subjectId}`).perCycle){ stale++; continue; }
+        if (classSlot[ci][s2]!==-1){
+          const b = { s: s2, ti: classSlot[ci][s2], subjectId: classSubj[ci][s2], ri: classRoom[ci][s2] };
+          if ((b.subjectId===a.subjectId && b.ti===a.ti) || (!sameWeek && !kinds.get(`${ci}-${b.subjectId}`).perCycle)){ stale++; continue; }
+          taken.push(b);
+          moves = [{ s: s2, subjectId: a.subjectId, ti: a.ti, ri: a.ri }, { s: s1, subjectId: b.subjectId, ti: b.ti, ri: b.ri }];
+        } else {
+          moves = [{ s: s2, subjectId: a.subjectId, ti: a.ti, ri: a.ri }];
+        }
+      }
+      const touched = new Set([...taken, ...moves].map(x=>x.ti));
+      const slots = keep ? new Set([...taken, ...moves].map(x=>x.s)) : null;
+      const cost = () => {
+        let n = model.classCost(st, ci);
+        for (const ti of touched) n += model.teacherCost(st, ti);
+        if (keep) for (const s of slots) n += KEEP_WEIGHT * changed(ci, s);
+        return n;
+      };
+      const before = cost();
+      for (const x of taken) take(ci, x.s);
+      const done = [];
+      for (const m of moves){
+        const ri = roomFor(kinds.get(`${ci}-${m.subjectId}`).rooms, m.s, 1, m.ri);
+        if (!fits(ci, m.subjectId, m.ti, m.s) || ri===undefined) break;
+        put(ci, m.s, m.subjectId, m.ti, ri, false); done.push(m);
+      }
+      if (done.length===moves.length){
+        const after = cost();
+        // sideways moves are kept too, they help walk across plateaus
+        if (after <= before){ stale = after < before - 1e-9 ? 0 : stale + 1; continue; }
+      }
+      for (const m of done) take(ci, m.s);
+      for (const x of taken) put(ci, x.s, x.subjectId, x.ti, x.ri, false);
+      stale++;
+    }
+  }
+
+  // Return rows (ids only; names are resolved when rendering). Rows of one session that spans several periods,
+  // combined classes or parallel groups share a `block` number; a parallel group's rows carry its `group` name.
+  function snapshot(){
+    const rows = [];
+    let block = 0;
+    for (let ci=0; ci<classSlot.length; ci++){
+      for (const s of slotIds){
+        if (classSlot[ci][s]===-1 || classMulti[ci][s]) continue;
+        const ri = classRoom[ci][s];
+        const row = { day: (s / P) | 0, period: s % P, classId: data.classes[ci].id, subjectId: classSubj[ci][s],
+          teacherId: teachers[classSlot[ci][s]].id, roomId: ri >= 0 ? rooms[ri].id : null };
+        if (!classCont[ci][s] && contAt(ci, s+1)) block++;
+        if (classCont[ci][s] || contAt(ci, s+1)) row.block = block;
+        rows.push(row);
+      }
+    }
+    for (const g of groups){
+      if (!g.multi) continue;
+      for (const { s, tis, ris } of g.stack){
+        block++;
+        for (let i=0; i<g.len; i++) for (const ci of g.cis) g.parts.forEach((part, j) => {
+          const row = { day: ((s+i) / P) | 0, period: (s+i) % P, classId: data.classes[ci].id, subjectId: part.subjectId,
+            teacherId: teachers[tis[j]].id, roomId: ris[j] >= 0 ? rooms[ris[j]].id : null, block };
+          if (part.name) row.group = part.name;
+          rows.push(row);
+        });
+      }
+    }
+    return rows;
+  }
+
+  reset();
+  const pinProblems = placePins();
+  if (pinProblems.length){
+    const err = new Error(`${pinProblems.length} pinned lesson(s) cannot be placed. See the report below.`);
+    err.report = { blockers: pinProblems, warnings: preflight.warnings, stuck: null };
+    throw err;
+  }
+
+  while (attempt < attempts){
+    if (restarts || attempt){ reset(); placePins(); }
+    nodes = 0; budget = 500 * luby(restarts + 1);
+    const r = search();
+    if (r===1){
+      attempt++;
+      improve(started + timeLimit * attempt / attempts);
+      const score = model.score(st);
+      // when re-solving, fewer changed lessons beats a better score
+      let rank = score.total;
+      if (keep) for (let ci=0; ci<classSlot.length; ci++) for (const s of slotIds) rank += KEEP_WEIGHT * changed(ci, s);
+      if (!best || rank < best.rank) best = { rows: snapshot(), score, rank };
+      if (Date.now() - started > timeLimit) break;
+      continue;
+    }
+    if (r===TIMEOUT && best) break;
+    if (r===0 || r===TIMEOUT){
+      // r===0: the whole tree was exhausted, so no amount of restarting helps
+      const secs = ((Date.now() - started) / 1000).toFixed(1);
+      const err = new Error(r===0
+        ? "Could not satisfy all constraints. See the report below."
+        : `No timetable found within ${secs}s (${restarts} restarts). See the report below.`);
+      err.report = { ...preflight, stuck: deepest, timedOut: r===TIMEOUT };
+      throw err;
+    }
+    restarts++;
+  }
+  return { rows: best.rows, score: best.score, attempts: attempt };
+}
@@ -0,0 +1,332 @@
+/* Store format: schema version, migrations from older files, validation and merging. No DOM access */
+
+import { defaultBell, cycleDays, DEFAULT_WEIGHTS, SKILL_LEVELS } from './scheduler.js';
+
+export const SCHEMA_VERSION = 5;
+
+// Lists every store has; the ones older files may lack are filled in by MIGRATIONS
+export const STORE_LISTS = ['teachers','subjects','classes','rooms','loads','canTeach','availability','roomAvailability','pins','absences','covers','timetables','availPresets','terms'];
+
+// MIGRATIONS[v] upgrades a version-v store to version v+1 in place
+const MIGRATIONS = [
+  // 0 -> 1: files saved before schemaVersion existed; rooms, pins, cover and saved timetables came later
+  (data) => {
+    if (data.cfg && data.cfg.lunchAt!=null && data.cfg.lunchAt < 0) data.cfg.lunchAt = null;
+    for (const k of ['rooms','roomAvailability','pins','absences','covers','timetables']) if (data[k]==null) data[k] = [];
+    data.weights = { ...DEFAULT_WEIGHTS, ...data.weights };
+    for (const s of Array.isArray(data.subjects) ? data.subjects : []) if (s && s.roomType==null) s.roomType = '';
+    for (const c of Array.isArray(data.classes) ? data.classes : []) if (c && c.size==null) c.size = 0;
+    if (data.activeTimetable===undefined) data.activeTimetable = Array.isArray(data.timetables) ? data.timetables.at(-1)?.id ?? null : null;
+  },
+  // 1 -> 2: lunchAt and periodTimes become a bell schedule, for the store and every saved timetable.
+  // Periods keep the numbers they had (the one after lunch stays "5", not "4").
+  (data) => {
+    const cfgs = [data.cfg, ...(Array.isArray(data.timetables) ? data.timetables.map(t=>t?.cfg) : [])];
+    for (const cfg of cfgs){
+      if (!cfg || typeof cfg!=='object' || cfg.bell || !Number.isInteger(cfg.periods)) continue;
+      const times = Array.isArray(cfg.periodTimes) && cfg.periodTimes.length===cfg.periods ? cfg.periodTimes : null;
+      cfg.bell = defaultBell(cfg.periods, cfg.lunchAt).map((b, p) => ({ ...b, name: b.kind ? b.name : String(p+1), ...(times ? times[p] : {}) }));
+      delete cfg.lunchAt; delete cfg.periodTimes;
+    }
+  },
+  // 2 -> 3: one load per class and subject. Loads added twice are merged: their periods (and blocks) add up,
+  // the other rules are the first one's.
+  (data) => {
+    if (!Array.isArray(data.loads)) return;
+    const first = new Map();
+    data.loads = data.loads.filter(l => {
+      const k = l && `${l.classId}-${l.subjectId}`;
+      const m = k && first.get(k);
+      if (!m){ if (k) first.set(k, l); return true; }
+      if (!Number.isInteger(m.ppw) || !Number.isInteger(l.ppw)) return true;
+      if (m.blocks || l.blocks) m.blocks = [...(m.blocks || Array(m.ppw).fill(1)), ...(l.blocks || Array(l.ppw).fill(1))];
+      m.ppw += l.ppw;
+      return false;
+    });
+  },
+  // 3 -> 4: named availability presets
+  (data) => { if (data.availPresets==null) data.availPresets = []; },
+  // 4 -> 5: terms, each with its own loads, pins and timetables. Older files have none: one set all year.
+  (data) => {
+    if (data.terms==null) data.terms = [];
+    if (data.activeTerm===undefined) data.activeTerm = null;
+  }
+];
+
+// Brings a parsed store up to SCHEMA_VERSION; returns the version it started from
+export function migrateStore(data){
+  const from = data.schemaVersion ?? 0;
+  if (!Number.isInteger(from) || from < 0) throw new Error(`schemaVersion: must be a whole number (got ${JSON.stringify(data.schemaVersion)})`);
+  if (from > SCHEMA_VERSION) throw new Error(`This file was saved by a newer version of the app (schema ${from}, this one reads up to ${SCHEMA_VERSION}).`);
+  for (let v = from; v < SCHEMA_VERSION; v++) MIGRATIONS[v](data);
+  data.schemaVersion = SCHEMA_VERSION;
+  return from;
+}
+
+// Everything wrong with a (migrated) store, as "path: problem". With partial, missing lists and cfg
+// are allowed (a file that only brings teachers, say), but whatever is there must still hold together.
+export function validateStore(data, { partial = false } = {}){
+  const errors = [];
+  const bad = (path, text) => errors.push(`${path}: ${text}`);
+  if (!data || typeof data!=='object' || Array.isArray(data)) return ['The file does not contain a timetable store.'];
+  const isInt = (v, min, max = Infinity) => Number.isInteger(v) && v >= min && v <= max;
+  const isText = (v) => typeof v==='string' && v.trim()!=='';
+  const got = (v) => ` (got ${JSON.stringify(v)})`;
+
+  let periods = 12, days = 7, weeks = 4;
+  const cfg = data.cfg;
+  if (cfg==null){ if (!partial) bad('cfg', 'missing'); }
+  else if (typeof cfg!=='object') bad('cfg', 'must be an object');
+  else {
+    if (isInt(cfg.periods, 1, 16)) periods = cfg.periods; else bad('cfg.periods', 'must be a whole number from 1 to 16' + got(cfg.periods));
+    if (isInt(cfg.days, 1, 7)) days = cfg.days; else bad('cfg.days', 'must be a whole number from 1 to 7' + got(cfg.days));
+    if (cfg.weeks==null) weeks = 1;
+    else if (isInt(cfg.weeks, 1, 4)) weeks = cfg.weeks; else bad('cfg.weeks', 'must be a whole number of weeks from 1 to 4' + got(cfg.weeks));
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(cfg.weekStart || '')) bad('cfg.weekStart', 'must be a date like 2024-09-02' + got(cfg.weekStart));
+    const hhmm = (v) => /^\d{2}:\d{2}$/.test(v || '');
+    if (!Array.isArray(cfg.bell) || cfg.bell.length!==periods) bad('cfg.bell', `must list the ${periods} periods and breaks of a day`);
+    else {
+      cfg.bell.forEach((b, i) => {
+        if (!b || !isText(b.name)) bad(`cfg.bell[${i}].name`, 'must not be empty');
+        else if (!hhmm(b.start) || !hhmm(b.end) || b.start >= b.end) bad(`cfg.bell[${i}]`, `needs a start and an end time like 08:30, start first` + got({ start: b.start, end: b.end }));
+        else if (b.kind!=null && b.kind!=='break' && b.kind!=='lunch') bad(`cfg.bell[${i}].kind`, 'must be break, lunch or empty' + got(b.kind));
+        else if (i > 0 && cfg.bell[i-1]?.end > b.start) bad(`cfg.bell[${i}]`, `starts before ${cfg.bell[i-1].name} ends`);
+        else if (cfg.bell.findIndex(x=>x?.name?.trim().toLowerCase()===b.name.trim().toLowerCase()) < i) bad(`cfg.bell[${i}].name`, `"${b.name}" is used twice`);
+      });
+      if (cfg.bell.every(b=>b?.kind)) bad('cfg.bell', 'needs at least one teaching period');
+    }
+    if (cfg.dayPeriods!=null && !(Array.isArray(cfg.dayPeriods) && cfg.dayPeriods.every(n=>isInt(n, 1, periods))))
+      bad('cfg.dayPeriods', `must list how many of the ${periods} slots each day uses` + got(cfg.dayPeriods));
+  }
+
+  for (const k of STORE_LISTS){
+    if (data[k]==null){ if (!partial) bad(k, 'missing'); }
+    else if (!Array.isArray(data[k])) bad(k, 'must be a list');
+  }
+  // calls fn(item, path) for every object in list k (or in `list`, reported as k); anything else is reported once here
+  const each = (k, fn, list = data[k]) => (Array.isArray(list) ? list : []).forEach((x, i) => {
+    if (x && typeof x==='object' && !Array.isArray(x)) fn(x, `${k}[${i}]`);
+    else bad(`${k}[${i}]`, 'must be an object');
+  });
+  const ids = {};
+  const entity = (k, fn) => {
+    ids[k] = new Set();
+    each(k, (x, path) => {
+      if (!isInt(x.id, 1)) bad(`${path}.id`, 'must be a positive whole number' + got(x.id));
+      else if (ids[k].has(x.id)) bad(`${path}.id`, `duplicate id ${x.id}`);
+      ids[k].add(x.id);
+      if (!isText(x.name)) bad(`${path}.name`, 'must not be empty');
+      fn(x, path);
+    });
+  };
+  const ref = (k, id, path, what) => { if (!ids[k].has(id)) bad(path, `refers to ${what} ${JSON.stringify(id)}, which does not exist`); };
+  const cycle = days * weeks; // days are numbered through the rotation cycle
+  const slot = (x, path) => {
+    if (!isInt(x.day, 0, cycle-1)) bad(`${path}.day`, `must be a day index from 0 to ${cycle-1}` + got(x.day));
+    if (!isInt(x.period, 0, periods-1)) bad(`${path}.period`, `must be a period index from 0 to ${periods-1}` + got(x.period));
+  };
+  const periodList = (v, path) => {
+    if (v!=null && !(Array.isArray(v) && v.every(p=>isInt(p, 0, periods-1)))) bad(path, `must be a list of period indexes from 0 to ${periods-1}` + got(v));
+  };
+
+  entity('teachers', (t, path) => {
+    if (!isText(t.code)) bad(`${path}.code`, 'must not be empty');
+    if (!isInt(t.maxPerDay, 1)) bad(`${path}.maxPerDay`, 'must be a positive whole number' + got(t.maxPerDay));
+    if (!isInt(t.maxPerWeek, 1)) bad(`${path}.maxPerWeek`, 'must be a positive whole number' + got(t.maxPerWeek));
+    if (typeof t.avoidConsec!=='boolean') bad(`${path}.avoidConsec`, 'must be true or false' + got(t.avoidConsec));
+  });
+  entity('subjects', (s, path) => {
+    if (!isText(s.code)) bad(`${path}.code`, 'must not be empty');
+    if (s.roomType!=null && typeof s.roomType!=='string') bad(`${path}.roomType`, 'must be text' + got(s.roomType));
+  });
+  entity('classes', (c, path) => {
+    if (!isInt(c.size, 0)) bad(`${path}.size`, 'must be a whole number of pupils' + got(c.size));
+  });
+  entity('rooms', (r, path) => {
+    if (!isText(r.code)) bad(`${path}.code`, 'must not be empty');
+    if (!isText(r.type)) bad(`${path}.type`, 'must not be empty');
+    if (!isInt(r.capacity, 0)) bad(`${path}.capacity`, 'must be a whole number' + got(r.capacity));
+  });
+
+  // loads and pins of the store (the active term), and of every other term
+  const loadList = (name, list) => {
+    const loadKeys = new Map(); // one load per class and subject
+    each(name, (l, path) => {
+      ref('classes', l.classId, `${path}.classId`, 'class');
+      ref('subjects', l.subjectId, `${path}.subjectId`, 'subject');
+      const k = `${l.classId}-${l.subjectId}`;
+      if (loadKeys.has(k)) bad(path, `same class and subject as ${loadKeys.get(k)}; merge them into one load`);
+      else loadKeys.set(k, path);
+      if (!isInt(l.ppw, 1)) bad(`${path}.ppw`, 'must be a positive whole number' + got(l.ppw));
+      if (l.perCycle!=null && typeof l.perCycle!=='boolean') bad(`${path}.perCycle`, 'must be true or false' + got(l.perCycle));
+      if (l.blocks!=null){
+        if (!Array.isArray(l.blocks) || !l.blocks.every(b=>isInt(b, 1))) bad(`${path}.blocks`, 'must be a list of block lengths' + got(l.blocks));
+        else if (l.blocks.reduce((a,b)=>a+b, 0)!==l.ppw) bad(`${path}.blocks`, `must add up to ppw (${l.ppw})`);
+      }
+      if (l.maxPerDay!=null && !isInt(l.maxPerDay, 1)) bad(`${path}.maxPerDay`, 'must be a positive whole number' + got(l.maxPerDay));
+      periodList(l.allowedPeriods, `${path}.allowedPeriods`);
+      periodList(l.forbiddenPeriods, `${path}.forbiddenPeriods`);
+      if (l.combineWith!=null){
+        if (!Array.isArray(l.combineWith)) bad(`${path}.combineWith`, 'must be a list of class ids');
+        else l.combineWith.forEach((id, i) => ref('classes', id, `${path}.combineWith[${i}]`, 'class'));
+      }
+      if (l.groups!=null){
+        if (!Array.isArray(l.groups) || l.groups.length < 2) bad(`${path}.groups`, 'must be a list of at least two groups');
+        else l.groups.forEach((g, i) => {
+          if (!g || !isText(g.name)) bad(`${path}.groups[${i}].name`, 'must not be empty');
+          else if (g.subjectId!=null) ref('subjects', g.subjectId, `${path}.groups[${i}].subjectId`, 'subject');
+        });
+      }
+    }, list);
+  };
+  loadList('loads');
+  each('canTeach', (x, path) => {
+    ref('teachers', x.teacherId, `${path}.teacherId`, 'teacher');
+    ref('subjects', x.subjectId, `${path}.subjectId`, 'subject');
+    if (x.priority!=null && !SKILL_LEVELS[x.priority]) bad(`${path}.priority`, 'must be 1 (preferred), 2 or 3 (only if needed)' + got(x.priority));
+  });
+  each('availability', (a, path) => {
+    ref('teachers', a.teacherId, `${path}.teacherId`, 'teacher');
+    slot(a, path);
+    if (typeof a.available!=='boolean') bad(`${path}.available`, 'must be true or false' + got(a.available));
+    else if (a.avoid!=null && (a.avoid!==true || !a.available)) bad(`${path}.avoid`, 'must be true on an available period, or left out' + got(a.avoid));
+  });
+  each('roomAvailability', (a, path) => {
+    ref('rooms', a.roomId, `${path}.roomId`, 'room');
+    slot(a, path);
+    if (typeof a.available!=='boolean') bad(`${path}.available`, 'must be true or false' + got(a.available));
+  });
+  const pinList = (name, list) => each(name, (x, path) => {
+    ref('classes', x.classId, `${path}.classId`, 'class');
+    ref('subjects', x.subjectId, `${path}.subjectId`, 'subject');
+    (x.teacherIds || [x.teacherId]).forEach((id, i) => ref('teachers', id, x.teacherIds ? `${path}.teacherIds[${i}]` : `${path}.teacherId`, 'teacher'));
+    (x.roomIds || [x.roomId]).forEach((id, i) => { if (id!=null) ref('rooms', id, x.roomIds ? `${path}.roomIds[${i}]` : `${path}.roomId`, 'room'); });
+    slot(x, path);
+    if (x.len!=null && !isInt(x.len, 1, periods)) bad(`${path}.len`, 'must be a positive whole number' + got(x.len));
+  }, list);
+  pinList('pins');
+  const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v || '');
+  entity('terms', (t, path) => {
+    if (!isDate(t.start)) bad(`${path}.start`, 'must be a date like 2024-09-02' + got(t.start));
+    if (!isDate(t.end)) bad(`${path}.end`, 'must be a date like 2024-09-02' + got(t.end));
+    else if (isDate(t.start) && t.start > t.end) bad(`${path}.end`, `must not be before the start (${t.start})`);
+    if (t.id===data.activeTerm){
+      if (t.loads!=null || t.pins!=null) bad(path, 'is the active term, whose loads and pins are the ones of the store');
+      return;
+    }
+    for (const k of ['loads', 'pins']){
+      if (!Array.isArray(t[k])) bad(`${path}.${k}`, 'must be a list');
+      else (k==='loads' ? loadList : pinList)(`${path}.${k}`, t[k]);
+    }
+  });
+  (Array.isArray(data.terms) ? data.terms : []).forEach((t, i, terms) => {
+    const j = terms.findIndex((u, j) => j < i && t?.start<=u?.end && u?.start<=t?.end);
+    if (j >= 0) bad(`terms[${i}]`, `overlaps terms[${j}]`);
+  });
+  if (data.activeTerm!=null) ref('terms', data.activeTerm, 'activeTerm', 'term');
+  else if (data.terms?.length) bad('activeTerm', 'must be one of the terms');
+  // a preset is a week of strings, one character per period: 1 available, ~ prefer not, 0 unavailable
+  entity('availPresets', (x, path) => {
+    if (!Array.isArray(x.days) || !x.days.every(d=>typeof d==='string' && /^[10~]*$/.test(d))) bad(`${path}.days`, 'must list one string of 1, ~ and 0 per day' + got(x.days));
+  });
+  const absenceIds = new Set();
+  each('absences', (a, path) => {
+    if (!isInt(a.id, 1) || absenceIds.has(a.id)) bad(`${path}.id`, 'must be a unique positive whole number' + got(a.id));
+    absenceIds.add(a.id);
+    ref('teachers', a.teacherId, `${path}.teacherId`, 'teacher');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(a.date || '')) bad(`${path}.date`, 'must be a date like 2024-09-02' + got(a.date));
+    periodList(a.periods, `${path}.periods`);
+  });
+  // cover history may mention absent teachers that were deleted since, but not the covering teacher
+  each('covers', (c, path) => {
+    ref('teachers', c.teacherId, `${path}.teacherId`, 'teacher');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(c.date || '')) bad(`${path}.date`, 'must be a date like 2024-09-02' + got(c.date));
+    if (!isInt(c.period, 0)) bad(`${path}.period`, 'must be a period index' + got(c.period));
+    if (!Array.isArray(c.classIds)) bad(`${path}.classIds`, 'must be a list of class ids');
+  });
+  // saved timetables may outlive the teachers and classes they mention (the grid flags those), so only their shape is checked
+  const ttIds = new Set();
+  each('timetables', (tt, path) => {
+    if (!isInt(tt.id, 1) || ttIds.has(tt.id)) bad(`${path}.id`, 'must be a unique positive whole number' + got(tt.id));
+    ttIds.add(tt.id);
+    if (!tt.cfg || typeof tt.cfg!=='object') bad(`${path}.cfg`, 'missing');
+    if (tt.termId!=null) ref('terms', tt.termId, `${path}.termId`, 'term');
+    if (!Array.isArray(tt.rows)) return bad(`${path}.rows`, 'must be a list');
+    const i = tt.rows.findIndex(r => !r || !['day','period','classId','subjectId','teacherId'].every(k=>Number.isInteger(r[k])));
+    if (i >= 0) bad(`${path}.rows[${i}]`, 'needs whole-number day, period, classId, subjectId and teacherId');
+  });
+  if (data.activeTimetable!=null && !ttIds.has(data.activeTimetable)) bad('activeTimetable', `refers to timetable ${JSON.stringify(data.activeTimetable)}, which does not exist`);
+  if (data.weights!=null){
+    if (typeof data.weights!=='object') bad('weights', 'must be an object');
+    else for (const [k, w] of Object.entries(data.weights)) if (typeof w!=='number' || !(w >= 0)) bad(`weights.${k}`, 'must be a number of 0 or more' + got(w));
+  }
+  return errors;
+}
+
+// Parses, migrates and validates a store saved as JSON: {data, from, errors}
+export function readStore(text, opts){
+  let data;
+  try { data = JSON.parse(text); }
+  catch(e){ return { data:null, from:null, errors:[`Not valid JSON: ${e.message}`] }; }
+  if (!data || typeof data!=='object' || Array.isArray(data)) return { data:null, from:null, errors:['The file does not contain a timetable store.'] };
+  let from;
+  try { from = migrateStore(data); }
+  catch(e){ return { data:null, from:null, errors:[e.message] }; }
+  return { data, from, errors: validateStore(data, opts) };
+}
+
+// How an entity is recognised across files: by code, classes (which have none) by name
+export const MERGE_KINDS = ['subjects','teachers','rooms','classes'];
+export const mergeKey = (kind, x) => String(kind==='classes' ? x.name : x.code).trim().toLowerCase();
+
+// Adds the entities of the chosen kinds that `dst` does not have yet, renumbering their ids, and brings along
+// what belongs to them: skills, availability, and the loads of new classes. Entries already in `dst` are left alone.
+// Returns {added, skipped}: lists of short descriptions.
+export function mergeStore(dst, src, kinds){
+  const added = [], skipped = [];
+  const map = {}, fresh = {};
+  for (const k of MERGE_KINDS){
+    map[k] = new Map(); fresh[k] = new Set();
+    for (const x of src[k] || []){
+      const same = dst[k].find(y=>mergeKey(k, y)===mergeKey(k, x));
+      if (same){
+        map[k].set(x.id, same.id);
+        if (kinds.includes(k)) skipped.push(`${x.name}: already here`);
+        continue;
+      }
+      if (!kinds.includes(k)) continue;
+      const id = dst[k].reduce((m, y)=>Math.max(m, y.id), 0) + 1;
+      dst[k].push({ ...x, id });
+      map[k].set(x.id, id); fresh[k].add(id);
+      added.push(x.name);
+    }
+  }
+  const cfg = dst.cfg;
+  for (const x of src.canTeach || []){
+    const teacherId = map.teachers.get(x.teacherId), subjectId = map.subjects.get(x.subjectId);
+    if (teacherId==null || subjectId==null || !(fresh.teachers.has(teacherId) || fresh.subjects.has(subjectId))) continue;
+    if (!dst.canTeach.some(y=>y.teacherId===teacherId && y.subjectId===subjectId)) dst.canTeach.push({ ...x, teacherId, subjectId });
+  }
+  for (const a of src.availability || []){
+    const teacherId = map.teachers.get(a.teacherId);
+    if (fresh.teachers.has(teacherId) && a.day < cycleDays(cfg) && a.period < cfg.periods) dst.availability.push({ ...a, teacherId });
+  }
+  for (const a of src.roomAvailability || []){
+    const roomId = map.rooms.get(a.roomId);
+    if (fresh.rooms.has(roomId) && a.day < cycleDays(cfg) && a.period < cfg.periods) dst.roomAvailability.push({ ...a, roomId });
+  }
+  for (const l of src.loads || []){
+    const classId = map.classes.get(l.classId);
+    if (!fresh.classes.has(classId)) continue;
+    const load = { ...l, classId, subjectId: map.subjects.get(l.subjectId) };
+    if (l.combineWith) load.combineWith = l.combineWith.map(id=>map.classes.get(id));
+    if (l.groups) load.groups = l.groups.map(g => g.subjectId!=null ? { ...g, subjectId: map.subjects.get(g.subjectId) } : { ...g });
+    const subject = (src.subjects || []).find(s=>s.id===l.subjectId)?.name || `subject ${l.subjectId}`;
+    if (load.subjectId==null || load.combineWith?.includes(undefined) || load.groups?.some(g=>g.subjectId===undefined)){
+      skipped.push(`${subject} load of a new class: its subject or classes are not here`);
+      continue;
+    }
+    dst.loads.push(load);
+  }
+  return { added, skipped };
+}
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+/* Optional sync server: serves the app and keeps one shared store for every editor, in a JSON file.
+   Every entity has a revision (the server version that last changed it); a change made from an older revision
+   than the server's is refused as a conflict, so concurrent edits are never silently overwritten.
+   Admins see and edit everything; teachers see all but other teachers' availability, absences and covers,
+   and edit only their own availability. See sync.js for the shared form and changes. */
+
+import http from 'node:http';
+import { readFileSync, writeFileSync, renameSync, mkdirSync, existsSync, realpathSync } from 'node:fs';
+import { createHash, randomBytes } from 'node:crypto';
+import { join, dirname, extname } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { SCHEMA_VERSION, migrateStore, validateStore } from './schema.js';
+import { blankStore } from './model.js';
+import { SYNC_KINDS, SYNC_SETTINGS, syncKey, allowedChange, visibleTo, toShared, fromShared, sharedEntities, applyChanges, canonical } from './sync.js';
+
+const APP_DIR = dirname(fileURLToPath(import.meta.url));
+const LOG_LIMIT = 5000; // changes kept for editors catching up; anyone further behind reloads the whole store
+const BODY_LIMIT = 32 * 1024 * 1024;
+const STATIC_TYPES = { '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8' };
+const ROLES = ['admin', 'teacher'];
+
+// ---------- Data directory: store.json and users.json ----------
+// store.json: {version, store (shared form), revs: {"kind/key": version}, log: [{version, kind, key, value, was, who, at}]},
+// `was` being what a delete removed, to tell who may see it
+function readJSON(file, fallback){
+  return existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : fallback;
+}
+// Written to a temporary file first, so a crash never leaves half a file behind
+function writeJSON(file, value){
+  writeFileSync(`${file}.tmp`, JSON.stringify(value));
+  renameSync(`${file}.tmp`, file);
+}
+
+export function openData(dir){
+  mkdirSync(dir, { recursive: true });
+  const data = readJSON(join(dir, 'store.json'), null) || { version: 0, store: toShared(blankStore()), revs: {}, log: [] };
+  if (migrateStore(data.store)!==SCHEMA_VERSION){
+    // everyone reloads after an upgrade: their copies predate it
+    data.version++; data.log = [];
+    writeJSON(join(dir, 'store.json'), data);
+  }
+  return data;
+}
+
+const keyHash = (key) => createHash('sha256').update(key).digest('hex');
+// Adds (or replaces) a user and returns their access key; only its hash is kept
+export function addUser(dir, { name, role, teacherCode }){
+  if (!name?.trim()) throw new Error('A user needs a name.');
+  if (!ROLES.includes(role)) throw new Error(`--role: must be ${ROLES.join(' or ')} (got ${role})`);
+  const user = { name: name.trim(), role };
+  if (role==='teacher'){
+    const teacher = openData(dir).store.teachers.find(t=>String(t.code).toLowerCase()===String(teacherCode ?? '').trim().toLowerCase());
+    if (!teacher) throw new Error(`--teacher: no teacher with code "${teacherCode ?? ''}" in the shared store`);
+    user.teacherId = teacher.id;
+  }
+  const key = randomBytes(18).toString('base64url');
+  const users = readJSON(join(dir, 'users.json'), []).filter(u=>u.name.toLowerCase()!==user.name.toLowerCase());
+  users.push({ ...user, keyHash: keyHash(key) });
+  mkdirSync(dir, { recursive: true });
+  writeJSON(join(dir, 'users.json'), users);
+  return key;
+}
+
+// ---------- Changes ----------
+const isObject = (x) => x!==null && typeof x==='object' && !Array.isArray(x);
+// The key of a value sent by a client, or null when the value lacks what its key is made of
+const keyOf = (kind, value) => { try { return syncKey(kind, value); } catch { return null; } };
+
+// Applies a batch of changes from `user` all together, or none of them.
+// Returns {status, body}: 200 with the new revisions, 403 forbidden, 409 conflicts, 422 invalid result.
+export function commit(data, user, changes){
+  const now = sharedEntities(data.store), conflicts = [], forbidden = [];
+  for (const c of changes){
+    if (!isObject(c) || !(c.value==null || isObject(c.value))) return { status: 400, body: { error: `Not a valid change: ${JSON.stringify(c)?.slice(0, 200)}` } };
+    const known = c.kind==='settings' ? SYNC_SETTINGS.includes(c.key) : Object.hasOwn(SYNC_KINDS, c.kind);
+    const keyOk = c.kind==='settings' || c.value==null || keyOf(c.kind, c.value)===c.key;
+    if (!known || typeof c.key!=='string' || !keyOk || (c.kind==='settings' && c.value==null)){
+      return { status: 400, body: { error: `Not a valid change: ${JSON.stringify({ kind: c.kind, key: c.key })}` } };
+    }
+    const id = `${c.kind}/${c.key}`, old = now.get(id)?.value ?? null, rev = data.revs[id] || 0;
+    if (!allowedChange(user, c, old)){ forbidden.push(id); continue; }
+    // someone changed it since this editor last saw it; deleting what is gone or creating what was deleted is fine
+    const clash = rev!==(c.rev || 0) && canonical(old)!==canonical(c.value) && !(old==null && (c.value==null || !c.rev));
+    if (clash) conflicts.push({ kind: c.kind, key: c.key, value: old, rev, who: user.role==='admin' ? data.log.findLast(x=>x.kind===c.kind && x.key===c.key)?.who || null : null });
+  }
+  if (forbidden.length) return { status: 403, body: { error: user.role==='teacher' ? 'Teachers can only change their own availability.' : 'Not allowed.', forbidden } };
+  if (conflicts.length) return { status: 409, body: { error: `${conflicts.length} change(s) conflict with edits made meanwhile.`, conflicts } };
+  const next = applyChanges(structuredClone(data.store), changes);
+  const errors = validateStore(fromShared(next));
+  if (errors.length) return { status: 422, body: { error: 'The changes would leave the shared data invalid.', errors } };
+  const version = ++data.version, at = new Date().toISOString(), revs = {};
+  for (const c of changes){
+    const id = `${c.kind}/${c.key}`;
+    revs[id] = data.revs[id] = version;
+    data.log.push({ version, kind: c.kind, key: c.key, value: c.value, ...(c.value==null ? { was: now.get(id)?.value ?? null } : {}), who: user.name, at });
+  }
+  if (data.log.length > LOG_LIMIT) data.log = data.log.slice(-LOG_LIMIT);
+  data.store = next;
+  return { status: 200, body: { version, revs } };
+}
+
+// What changed after version `since` that `user` may see, or null when the log no longer reaches back that far.
+// Teachers are not told who made a change.
+export function changesSince(data, since, user){
+  if (since >= data.version) return [];
+  if (!data.log.length || data.log[0].version > since + 1) return null;
+  return data.log.filter(x=>x.version > since && visibleTo(user, x.kind, x.value ?? x.was))
+    .map(({ version, was, who, ...x }) => ({ ...x, who: user.role==='admin' ? who : null, rev: version }));
+}
+
+// The part of the shared store `user` may see, with its revisions
+export function readableStore(data, user){
+  if (user.role==='admin') return { store: data.store, revs: data.revs };
+  const store = { ...data.store };
+  for (const kind of Object.keys(SYNC_KINDS)) if (store[kind]) store[kind] = store[kind].filter(x=>visibleTo(user, kind, x));
+  const seen = sharedEntities(store);
+  return { store, revs: Object.fromEntries(Object.entries(data.revs).filter(([id])=>seen.has(id))) };
+}
+
+// ---------- HTTP ----------
+function send(res, status, body, type = 'application/json; charset=utf-8'){
+  res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+  res.end(type.startsWith('application/json') ? JSON.stringify(body) : body);
+}
+
+function readBody(req){
+  return new Promise((resolve, reject) => {
+    const chunks = []; let size = 0;
+    req.on('data', (c) => { size += c.length; if (size > BODY_LIMIT){ reject(Object.assign(new Error('Request too large.'), { status: 413 })); req.destroy(); } else chunks.push(c); });
+    req.on('end', () => {
+      try { resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {}); }
+      catch(e){ reject(Object.assign(new Error(`Not valid JSON: ${e.message}`), { status: 400 })); }
+    });
+    req.on('error', reject);
+  });
+}
+
+// The app's own files, from the directory server.js is in: index.html, the modules and the style sheet
+function serveStatic(res, path){
+  const name = path==='/' ? 'index.html' : decodeURIComponent(path.slice(1));
+  if (!/^[\w.-]+$/.test(name) || !STATIC_TYPES[extname(name)] || !existsSync(join(APP_DIR, name))) return send(res, 404, 'Not found', 'text/plain');
+  send(res, 200, readFileSync(join(APP_DIR, name)), STATIC_TYPES[extname(name)]);
+}
+
+export function startServer({ port = 8080, host = '127.0.0.1', dir }){
+  const data = openData(dir);
+  const save = () => writeJSON(join(dir, 'store.json'), data);
+  const userFor = (req) => {
+    const key = /^Bearer (.+)$/.exec(req.headers.authorization || '')?.[1];
+    if (!key) return null;
+    const hash = keyHash(key);
+    const user = readJSON(join(dir, 'users.json'), []).find(u=>u.keyHash===hash);
+    return user && { name: user.name, role: user.role, teacherId: user.teacherId ?? null };
+  };
+  const run = (user, changes) => {
+    const result = commit(data, user, changes);
+    if (result.status===200) save();
+    return result;
+  };
+
+  async function api(req, res, url, user){
+    const [, kind, ...rest] = url.pathname.split('/').slice(1);
+    const key = rest.length ? decodeURIComponent(rest.join('/')) : null;
+    const m = req.method;
+    if (kind==='me' && m==='GET') return send(res, 200, user);
+    if (kind==='store' && m==='GET') return send(res, 200, { version: data.version, schemaVersion: SCHEMA_VERSION, ...readableStore(data, user) });
+    if (kind==='changes' && m==='GET'){
+      const changes = changesSince(data, Number(url.searchParams.get('since')) || 0, user);
+      return send(res, 200, changes ? { version: data.version, changes } : { version: data.version, reset: true });
+    }
+    if (kind==='changes' && m==='POST'){
+      const body = await readBody(req);
+      if (body?.schemaVersion!==SCHEMA_VERSION) return send(res, 409, { error: 'This page is from another version of the app. Reload it.', reload: true });
+      if (!Array.isArray(body.changes)) return send(res, 400, { error: 'changes: must be a list' });
+      const { status, body: out } = run(user, body.changes);
+      return send(res, status, out);
+    }
+    // one kind, or one entity of it
+    if (kind!=='settings' && !Object.hasOwn(SYNC_KINDS, kind)) return send(res, 404, { error: `No such kind: ${kind}` });
+    const all = sharedEntities(data.store), items = [];
+    for (const x of all.values()) if (x.kind===kind && (key==null || x.key===key) && visibleTo(user, kind, x.value)) items.push({ key: x.key, rev: data.revs[`${kind}/${x.key}`] || 0, value: x.value });
+    if (m==='GET'){
+      if (key==null) return send(res, 200, { version: data.version, items });
+      return items.length ? send(res, 200, items[0]) : send(res, 404, { error: `No ${kind} ${key}` });
+    }
+    if (key!=null && (m==='PUT' || m==='DELETE')){
+      const body = m==='PUT' ? await readBody(req) : { value: null, rev: Number(url.searchParams.get('rev')) || 0 };
+      const { status, body: out } = run(user, [{ kind, key, value: body?.value ?? null, rev: body?.rev || 0 }]);
+      return send(res, status, out);
+    }
+    send(res, 405, { error: `${m} is not supported here` });
+  }
+
+  const server = http.createServer(async (req, res) => {
+    // the API takes its key from a header, never a cookie, so other origins may call it
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+    if (req.method==='OPTIONS') return send(res, 204, '', 'text/plain');
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (!url.pathname.startsWith('/api/')) return req.method==='GET' ? serveStatic(res, url.pathname) : send(res, 405, 'Method not allowed', 'text/plain');
+      const user = userFor(req);
+      if (!user) return send(res, 401, { error: 'Sign in with an access key (ask the admin who runs the server).' });
+      await api(req, res, url, user);
+    } catch(e){
+      send(res, e.status || 500, { error: e.message });
+    }
+  });
+  return new Promise((resolve) => server.listen(port, host, () => resolve(server)));
+}
+
+// ---------- Command line ----------
+const USAGE = `Usage: node server.js [options]
+
+Serves the app and shares one timetable store between everyone signed in to it.
+
+  --data DIR        where the shared store and the users are kept (default ./timetable-data)
+  --port N          port to listen on (default 8080)
+  --host ADDRESS    address to listen on (default 127.0.0.1; 0.0.0.0 for the whole network)
+  --add-user NAME   add a user, print their access key and exit; with --role admin|teacher
+                    and, for a teacher, --teacher CODE (their teacher code in the shared store)
+  -h, --help        show this help
+
+On the first start without users an admin called "admin" is added and their access key printed.`;
+
+async function main(){
+  const { values: args } = parseArgs({ options: {
+    data: { type: 'string', default: './timetable-data' },
+    port: { type: 'string', default: '8080' },
+    host: { type: 'string', default: '127.0.0.1' },
+    'add-user': { type: 'string' },
+    role: { type: 'string', default: 'admin' },
+    teacher: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+  } });
+  if (args.help){ console.log(USAGE); return; }
+  if (args['add-user'] != null){
+    const key = addUser(args.data, { name: args['add-user'], role: args.role, teacherCode: args.teacher });
+    console.log(`Access key for ${args['add-user'].trim()} (${args.role}): ${key}`);
+    return;
+  }
+  if (!readJSON(join(args.data, 'users.json'), []).length){
+    mkdirSync(args.data, { recursive: true });
+    console.log(`Access key for admin (admin): ${addUser(args.data, { name: 'admin', role: 'admin' })}`);
+  }
+  const server = await startServer({ port: Number(args.port), host: args.host, dir: args.data });
+  const { address, port } = server.address();
+  console.log(`Timetable server on http://${address}:${port}/ with data in ${args.data}`);
+}
+
+if (process.argv[1] && import.meta.url===pathToFileURL(realpathSync(process.argv[1])).href){
+  main().catch((e) => { console.error(e.message); process.exit(1); });
+}
@@ -0,0 +1,154 @@
+/* Sharing a store through server.js. Both sides work on the "shared" form of a store: every term's loads and
+   pins in one list each, tagged with their termId, and without what only one browser is looking at (the
+   active term and timetable). Edits travel as changes: {kind, key, value, rev}, value null for a delete,
+   rev the server revision the editor last saw of that entity (0 if it had none). No DOM access */
+
+import { TERM_LISTS } from './model.js';
+
+// How each entity is told apart. Lists without ids are keyed by what the app already keeps unique in them.
+export const SYNC_KINDS = {
+  teachers: (x) => x.id,
+  subjects: (x) => x.id,
+  classes: (x) => x.id,
+  rooms: (x) => x.id,
+  terms: (x) => x.id,
+  timetables: (x) => x.id,
+  absences: (x) => x.id,
+  availPresets: (x) => x.id,
+  loads: (x) => `${x.termId ?? ''}:${x.classId}-${x.subjectId}`,
+  pins: (x) => `${x.termId ?? ''}:${x.classId}-${x.day}-${x.period}`,
+  canTeach: (x) => `${x.teacherId}-${x.subjectId}`,
+  availability: (x) => `${x.teacherId}-${x.day}-${x.period}`,
+  roomAvailability: (x) => `${x.roomId}-${x.day}-${x.period}`,
+  covers: (x) => `${x.date}-${x.period}-${x.absentId}-${x.classIds.join('+')}`
+};
+// Single values, synced as kind 'settings' under their own name
+export const SYNC_SETTINGS = ['cfg', 'weights'];
+export const syncKey = (kind, x) => String(SYNC_KINDS[kind](x));
+
+// What a user may change: admins anything, teachers the availability of their own teacher record
+export function allowedChange(user, change, old){
+  if (user.role==='admin') return true;
+  if (user.role!=='teacher' || change.kind!=='availability') return false;
+  return (change.value!=null || old!=null) && [change.value, old].every(x => x==null || x.teacherId===user.teacherId);
+}
+
+// What a user may see: admins everything, teachers all but other teachers' availability, absences and covers
+export function visibleTo(user, kind, value){
+  if (user.role==='admin') return true;
+  if (kind==='availability' || kind==='absences') return value?.teacherId===user.teacherId;
+  if (kind==='covers') return value?.teacherId===user.teacherId || value?.absentId===user.teacherId;
+  return true;
+}
+
+export function toShared(store){
+  const { activeTerm, activeTimetable, ...rest } = structuredClone(store);
+  const tagged = (list, termId) => termId!=null ? list.map(x=>({ ...x, termId })) : list;
+  for (const k of TERM_LISTS){
+    rest[k] = [...tagged(rest[k], activeTerm), ...rest.terms.filter(t=>t.id!==activeTerm).flatMap(t=>tagged(t[k] || [], t.id))];
+  }
+  rest.terms = rest.terms.map(t => { const term = { ...t }; for (const k of TERM_LISTS) delete term[k]; return term; });
+  return rest;
+}
+
+// Back to the form the app edits, with `activeTerm` (or the first term) open
+export function fromShared(shared, activeTerm = null, activeTimetable = null){
+  const store = structuredClone(shared);
+  if (!store.terms.some(t=>t.id===activeTerm)) activeTerm = store.terms[0]?.id ?? null;
+  const untagged = (list, termId) => list.filter(x=>(x.termId ?? null)===termId).map(({ termId, ...x }) => x);
+  for (const k of TERM_LISTS){
+    for (const t of store.terms) if (t.id!==activeTerm) t[k] = untagged(shared[k], t.id);
+    store[k] = untagged(shared[k], activeTerm);
+  }
+  store.activeTerm = activeTerm;
+  store.activeTimetable = activeTimetable;
+  return store;
+}
+
+// JSON with sorted keys, so an entity edited in place compares equal to the same entity read back from the server
+export function canonical(x){
+  return JSON.stringify(x, (k, v) => v && typeof v==='object' && !Array.isArray(v)
+    ? Object.fromEntries(Object.keys(v).sort().map(k=>[k, v[k]])) : v);
+}
+
+// Every entity of a shared store: Map "kind/key" -> {kind, key, value}
+export function sharedEntities(shared){
+  const all = new Map();
+  for (const kind of Object.keys(SYNC_KINDS)){
+    for (const x of shared[kind] || []){ const key = syncKey(kind, x); all.set(`${kind}/${key}`, { kind, key, value: x }); }
+  }
+  for (const key of SYNC_SETTINGS) if (shared[key]!=null) all.set(`settings/${key}`, { kind: 'settings', key, value: shared[key] });
+  return all;
+}
+
+// The changes that turn shared store `from` into `to` (without revs)
+export function diffShared(from, to){
+  const a = sharedEntities(from), b = sharedEntities(to), changes = [];
+  for (const [id, x] of b) if (!a.has(id) || canonical(a.get(id).value)!==canonical(x.value)) changes.push({ kind: x.kind, key: x.key, value: x.value });
+  for (const [id, x] of a) if (!b.has(id)) changes.push({ kind: x.kind, key: x.key, value: null });
+  return changes;
+}
+
+// Applies changes to a shared store in place: updates where the entity was, new ones at the end
+export function applyChanges(shared, changes){
+  const gone = new Set();
+  const index = new Map(); // kind -> Map key -> position, built when first needed
+  const positions = (kind) => {
+    if (!index.has(kind)) index.set(kind, new Map((shared[kind] || (shared[kind] = [])).map((x, i)=>[syncKey(kind, x), i])));
+    return index.get(kind);
+  };
+  for (const c of changes){
+    if (c.kind==='settings'){ if (c.value!=null) shared[c.key] = structuredClone(c.value); continue; }
+    const list = shared[c.kind], at = positions(c.kind);
+    if (c.value==null){ if (at.has(c.key)){ gone.add(list[at.get(c.key)]); at.delete(c.key); } }
+    else if (at.has(c.key)) list[at.get(c.key)] = structuredClone(c.value);
+    else at.set(c.key, list.push(structuredClone(c.value)) - 1);
+  }
+  if (gone.size) for (const kind of index.keys()) shared[kind] = shared[kind].filter(x=>!gone.has(x));
+  return shared;
+}
+
+// Gives entity `from` of an id-keyed kind the id `to`, with everything referring to it except what `keep(kind, x)`
+// says to leave alone. For an entity made here while another editor made one with the same id.
+export function renumber(shared, kind, from, to, keep = () => false){
+  const mine = (k) => (shared[k] || []).filter(x=>!keep(k, x));
+  const one = (x, f) => { if (x[f]===from) x[f] = to; };
+  const many = (x, f) => { if (Array.isArray(x[f])) x[f] = x[f].map(id=>id===from ? to : id); };
+  const rows = mine('timetables').flatMap(t=>t.rows);
+  shared[kind].find(x=>x.id===from).id = to;
+  if (kind==='teachers'){
+    for (const x of [...mine('canTeach'), ...mine('availability'), ...mine('absences'), ...rows]) one(x, 'teacherId');
+    for (const x of mine('pins')){ one(x, 'teacherId'); many(x, 'teacherIds'); }
+    for (const x of mine('covers')){ one(x, 'teacherId'); one(x, 'absentId'); }
+  } else if (kind==='subjects'){
+    for (const x of [...mine('loads'), ...mine('canTeach'), ...mine('pins'), ...mine('covers'), ...rows]) one(x, 'subjectId');
+    for (const l of mine('loads')) for (const g of l.groups || []) one(g, 'subjectId');
+  } else if (kind==='classes'){
+    for (const x of [...mine('loads'), ...mine('pins'), ...rows]) one(x, 'classId');
+    for (const x of mine('loads')) many(x, 'combineWith');
+    for (const x of mine('covers')) many(x, 'classIds');
+  } else if (kind==='rooms'){
+    for (const x of [...mine('roomAvailability'), ...mine('pins'), ...rows]) one(x, 'roomId');
+    for (const x of mine('pins')) many(x, 'roomIds');
+  } else if (kind==='terms'){
+    for (const x of [...mine('loads'), ...mine('pins'), ...mine('timetables')]) one(x, 'termId');
+  }
+}
+
+const ENTITY_NAMES = { teachers:'teacher', subjects:'subject', classes:'class', rooms:'room', terms:'term', timetables:'timetable', availPresets:'availability preset' };
+// "teacher Alice", "availability of Bob" and so on, for conflict notices and the change log
+export function describeChange(shared, c){
+  const value = c.value || sharedEntities(shared).get(`${c.kind}/${c.key}`)?.value;
+  const name = (kind, id) => shared[kind]?.find(x=>x.id===id)?.name || '?';
+  if (c.kind==='settings') return c.key==='cfg' ? 'the global config' : 'the soft-constraint weights';
+  if (!value) return `${ENTITY_NAMES[c.kind] || c.kind} ${c.key}`;
+  if (ENTITY_NAMES[c.kind]) return `${ENTITY_NAMES[c.kind]} ${value.name}`;
+  if (c.kind==='absences') return `absence of ${name('teachers', value.teacherId)} on ${value.date}`;
+  if (c.kind==='loads') return `load ${name('classes', value.classId)} · ${name('subjects', value.subjectId)}`;
+  if (c.kind==='canTeach') return `skill ${name('teachers', value.teacherId)} · ${name('subjects', value.subjectId)}`;
+  if (c.kind==='availability') return `availability of ${name('teachers', value.teacherId)}`;
+  if (c.kind==='roomAvailability') return `availability of ${name('rooms', value.roomId)}`;
+  if (c.kind==='pins') return `pinned lesson of ${name('classes', value.classId)}`;
+  if (c.kind==='covers') return `cover on ${value.date}`;
+  return `${c.kind} ${c.key}`;
+}
@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { demoStore } from '../model.js';
+import { hardViolations } from './support.js';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+const dir = mkdtempSync(join(tmpdir(), 'timetable-'));
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+const FAST = ['--attempts', '1', '--time', '2', '--seed', '1'];
+
+function storeFile(name, data = demoStore(new Date('2026-09-09T12:00:00Z'))){
+  const file = join(dir, name);
+  writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+test('writes the timetable as JSON', () => {
+  const file = storeFile('demo.json');
+  const tt = JSON.parse(execFileSync(process.execPath, [CLI, file, ...FAST], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }));
+  assert.equal(tt.name, 'Version 1');
+  assert.deepEqual(hardViolations(demoStore(), tt.rows), []);
+  assert.equal(typeof tt.score.total, 'number');
+});
+
+test('writes the lessons as CSV to a file', () => {
+  const file = storeFile('demo.json'), out = join(dir, 'lessons.csv');
+  const r = run(file, ...FAST, '--format', 'csv', '--out', out);
+  assert.equal(r.status, 0, r.stderr);
+  assert.equal(r.stdout, '');
+  const lines = readFileSync(out, 'utf8').trim().split(/\r?\n/);
+  assert.match(lines[0], /^Day,Date,Period,Start,End,Class,Subject/);
+  assert.equal(lines.length, 1 + 20);
+  assert.match(lines[1], /^\w{3},2026-09-\d\d,/);
+});
+
+test('saves the timetable into the store', () => {
+  const file = storeFile('save.json');
+  assert.equal(run(file, ...FAST, '--save').status, 0);
+  const data = JSON.parse(readFileSync(file, 'utf8'));
+  assert.equal(data.timetables.length, 1);
+  assert.equal(data.activeTimetable, data.timetables[0].id);
+});
+
+test('refuses bad arguments and invalid stores', () => {
+  assert.equal(run().status, 1);
+  assert.equal(run(storeFile('a.json'), '--format', 'xml').status, 1);
+  assert.equal(run(join(dir, 'missing.json')).status, 1);
+  assert.equal(run(storeFile('a.json'), '--seed', 'abc').status, 1);
+  const data = demoStore();
+  data.loads[0].classId = 99;
+  const r = run(storeFile('bad.json', data));
+  assert.equal(r.status, 1);
+  assert.match(r.stderr, /loads\[0\]\.classId/);
+});
+
+test('exits with 2 and the reasons when no timetable can be made', () => {
+  const data = demoStore();
+  for (const t of data.teachers) t.maxPerWeek = 1;
+  const r = run(storeFile('stuck.json', data), ...FAST);
+  assert.equal(r.status, 2);
+  assert.match(r.stderr, /problem\(s\) in the data/);
+  assert.equal(r.stdout, '');
+});
@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { allowedPeriodMask, diagnoseSchedule } from '../scheduler.js';
+import { validateStore } from '../schema.js';
+import { demoStore, remapPeriods, schedulerInput } from '../model.js';
+
+// The demo bell (1 2 3 Lunch 4 5) without slot `i`
+function withoutSlot(data, i){
+  const origins = data.cfg.bell.map((b, p)=>p).filter(p=>p!==i);
+  const cfg = { ...data.cfg, periods: origins.length, bell: origins.map(p=>data.cfg.bell[p]) };
+  const stranded = remapPeriods(data, cfg, origins);
+  data.cfg = cfg;
+  return stranded;
+}
+
+test('a removed slot takes its records along, and later ones move up', () => {
+  const data = demoStore();
+  data.pins.push({ classId: 1, day: 2, period: 5, subjectId: 3, teacherId: 3 });
+  data.loads[0].forbiddenPeriods = [4, 5];
+  data.absences.push({ id: 1, teacherId: 2, date: '2026-09-09', periods: [4] });
+  assert.deepEqual(withoutSlot(data, 4), []);
+  assert.deepEqual(validateStore(data), []);
+  assert.deepEqual(data.pins.map(x=>x.period), [4]);
+  assert.deepEqual(data.loads[0].forbiddenPeriods, [4]);
+  assert.deepEqual(data.absences, []);
+  assert.ok(data.availability.every(a=>a.period!==3 && a.period < 5));
+  // teacher 1 is unavailable on day 0 period 0 and day 1 period 1, which did not move
+  assert.deepEqual(data.availability.filter(a=>!a.available).map(a=>`${a.day}-${a.period}`), ['0-0', '1-1']);
+});
+
+test('a load whose only allowed period is removed is allowed nowhere, not everywhere', () => {
+  const data = demoStore();
+  data.loads[0].allowedPeriods = [5];
+  assert.deepEqual(withoutSlot(data, 5), [data.loads[0]]);
+  assert.deepEqual(validateStore(data), []);
+  assert.deepEqual(data.loads[0].allowedPeriods, []);
+  assert.ok(allowedPeriodMask(data.cfg, data.loads[0]).every(x=>x===0));
+  assert.ok(diagnoseSchedule(schedulerInput(data), {}).blockers.some(b=>/no period is allowed/.test(b)));
+});
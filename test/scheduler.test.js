@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { solveSchedule, diagnoseSchedule } from '../scheduler.js';
+import { validateStore } from '../schema.js';
+import { demoStore, ensureAvailability, schedulerInput } from '../model.js';
+import { hardViolations, generatedStore } from './support.js';
+
+const HARD = { hDouble: true, hAvail: true };
+const solve = (data, opts = {}) => solveSchedule(schedulerInput(data), { ...HARD, attempts: 1, timeLimitMs: 5000, seed: 1, ...opts });
+
+test('the demo data solves without breaking a hard constraint', () => {
+  const data = demoStore();
+  assert.deepEqual(validateStore(data), []);
+  for (const seed of [1, 2, 3]){
+    const { rows } = solve(data, { seed });
+    assert.equal(rows.length, data.loads.reduce((n, l)=>n + l.ppw, 0));
+    assert.deepEqual(hardViolations(data, rows), [], `seed ${seed}`);
+  }
+});
+
+test('the demo data keeps its pins', () => {
+  const data = demoStore();
+  data.pins.push({ classId: 1, day: 2, period: 1, subjectId: 3, teacherId: 3, roomId: 2 });
+  const { rows } = solve(data);
+  assert.deepEqual(hardViolations(data, rows), []);
+  assert.ok(rows.some(r=>r.classId===1 && r.day===2 && r.period===1 && r.teacherId===3 && r.roomId===2));
+});
+
+test('the demo data on an A/B rotation gets every load each week, or once per cycle', () => {
+  const data = demoStore();
+  data.cfg.weeks = 2;
+  for (const t of data.teachers) ensureAvailability(data, t.id);
+  data.loads[0].perCycle = true;
+  const { rows } = solve(data);
+  assert.deepEqual(hardViolations(data, rows), []);
+  assert.ok(rows.some(r=>r.day >= data.cfg.days), 'week B has lessons');
+});
+
+test('generated schools with every kind of load rule solve without breaking a hard constraint', () => {
+  for (const opts of [{ classes: 4, seed: 1 }, { classes: 8, seed: 2 }, { classes: 12, days: 6, seed: 3 }]){
+    const data = generatedStore(opts);
+    assert.deepEqual(validateStore(data), [], JSON.stringify(opts));
+    const { rows } = solve(data, { timeLimitMs: 8000 });
+    assert.deepEqual(hardViolations(data, rows), [], JSON.stringify(opts));
+  }
+});
+
+test('a generated school on a two-week cycle solves without breaking a hard constraint', () => {
+  const data = generatedStore({ classes: 4, weeks: 2, seed: 4 });
+  assert.deepEqual(validateStore(data), []);
+  const { rows } = solve(data, { timeLimitMs: 8000 });
+  assert.deepEqual(hardViolations(data, rows), []);
+});
+
+test('a generated school without rooms or load rules solves too', () => {
+  const data = generatedStore({ classes: 10, seed: 5, rules: false });
+  data.rooms = [];
+  const { rows } = solve(data, { timeLimitMs: 8000 });
+  assert.deepEqual(hardViolations(data, rows), []);
+});
+
+test('re-solving keeps the hard constraints', () => {
+  const data = generatedStore({ classes: 6, seed: 6 });
+  const first = solve(data);
+  data.availability.find(a=>a.teacherId===first.rows[0].teacherId && a.day===first.rows[0].day && a.period===first.rows[0].period).available = false;
+  const { rows } = solve(data, { keep: first.rows, seed: 2 });
+  assert.deepEqual(hardViolations(data, rows), []);
+});
+
+test('the check catches broken timetables', () => {
+  const data = demoStore();
+  const { rows } = solve(data);
+  const single = rows.find(r=>r.block==null);
+  const other = rows.find(r=>r.block==null && r.classId!==single.classId && r.teacherId!==single.teacherId);
+  assert.ok(hardViolations(data, [...rows, { ...other, day: single.day, period: single.period, teacherId: single.teacherId }]).some(p=>/double-booked/.test(p)));
+  assert.ok(hardViolations(data, rows.filter(r=>r!==single)).some(p=>/has \d+ periods/.test(p)));
+  assert.ok(hardViolations(data, rows.map(r=>r===single ? { ...r, day: 0, period: 0, teacherId: 1 } : r)).some(p=>/Alice is not available/.test(p)));
+  assert.ok(hardViolations(data, rows.map(r=>r===single ? { ...r, period: 3 } : r)).some(p=>/outside the teaching periods/.test(p)));
+});
+
+test('impossible data is reported before searching', () => {
+  const data = demoStore();
+  data.teachers[0].maxPerWeek = 1;
+  data.teachers[1].maxPerWeek = 1;
+  assert.ok(diagnoseSchedule(schedulerInput(data), HARD).blockers.length > 0);
+  assert.throws(() => solve(data), (e) => e.report?.blockers.length > 0);
+});
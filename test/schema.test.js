@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SCHEMA_VERSION, readStore, validateStore, mergeStore } from '../schema.js';
+import { blankStore, demoStore } from '../model.js';
+import { generatedStore } from './support.js';
+
+test('a blank store, the demo data and generated stores are valid', () => {
+  assert.deepEqual(validateStore(blankStore()), []);
+  assert.deepEqual(validateStore(demoStore()), []);
+  assert.deepEqual(validateStore(generatedStore({ classes: 5, weeks: 2 })), []);
+});
+
+test('a file from before schemaVersion is brought up to date', () => {
+  const old = {
+    cfg: { periods: 6, days: 5, lunchAt: 3, weekStart: '2026-09-07' },
+    teachers: [{ id: 1, name: 'Alice', code: 'T-A', maxPerDay: 4, maxPerWeek: 18, avoidConsec: false }],
+    subjects: [{ id: 1, name: 'Mathematics', code: 'MATH' }],
+    classes: [{ id: 1, name: 'Class A' }],
+    loads: [{ classId: 1, subjectId: 1, ppw: 2 }, { classId: 1, subjectId: 1, ppw: 1 }],
+    canTeach: [{ teacherId: 1, subjectId: 1 }],
+    availability: []
+  };
+  const { data, from, errors } = readStore(JSON.stringify(old));
+  assert.equal(from, 0);
+  assert.deepEqual(errors, []);
+  assert.equal(data.schemaVersion, SCHEMA_VERSION);
+  assert.equal(data.cfg.bell[3].kind, 'lunch');
+  assert.equal(data.cfg.bell[4].name, '5');
+  assert.deepEqual(data.loads, [{ classId: 1, subjectId: 1, ppw: 3 }]);
+  assert.deepEqual(data.terms, []);
+});
+
+test('broken files are refused with a reason', () => {
+  assert.match(readStore('{').errors[0], /Not valid JSON/);
+  assert.match(readStore('[]').errors[0], /does not contain a timetable store/);
+  assert.match(readStore(JSON.stringify({ ...demoStore(), schemaVersion: SCHEMA_VERSION + 1 })).errors[0], /newer version/);
+  const data = demoStore();
+  data.loads.push({ classId: 9, subjectId: 1, ppw: 2 });
+  data.teachers[0].maxPerDay = -1;
+  const errors = validateStore(data);
+  assert.ok(errors.some(e=>/^loads\[6\]/.test(e)), errors.join('\n'));
+  assert.ok(errors.some(e=>/^teachers\[0\]\.maxPerDay/.test(e)), errors.join('\n'));
+});
+
+test('merging adds what is new and leaves the rest alone', () => {
+  const dst = demoStore(), src = generatedStore({ classes: 2, rules: false });
+  src.teachers[0].code = dst.teachers[0].code;
+  const { added, skipped } = mergeStore(dst, src, ['teachers', 'classes']);
+  assert.equal(added.length, src.teachers.length - 1 + src.classes.length);
+  assert.ok(skipped.includes('MATH teacher 1: already here'));
+  assert.equal(dst.classes.length, 4);
+  assert.deepEqual(validateStore(dst), []);
+});
@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startServer, addUser } from '../server.js';
+import { SCHEMA_VERSION } from '../schema.js';
+import { demoStore } from '../model.js';
+import { toShared, diffShared } from '../sync.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'timetable-server-'));
+const adminKey = addUser(dir, { name: 'Sam', role: 'admin' });
+const server = await startServer({ port: 0, dir });
+const base = `http://127.0.0.1:${server.address().port}`;
+test.after(() => server.close());
+
+async function call(key, method, path, body){
+  const res = await fetch(base + path, { method, body: body && JSON.stringify(body),
+    headers: { ...(key ? { Authorization: `Bearer ${key}` } : {}), 'Content-Type': 'application/json' } });
+  return { status: res.status, body: await res.json() };
+}
+const push = (key, changes) => call(key, 'POST', '/api/changes', { schemaVersion: SCHEMA_VERSION, changes });
+
+test('the API needs an access key', async () => {
+  assert.equal((await call(null, 'GET', '/api/store')).status, 401);
+  assert.equal((await call('wrong', 'GET', '/api/store')).status, 401);
+  assert.deepEqual((await call(adminKey, 'GET', '/api/me')).body, { name: 'Sam', role: 'admin', teacherId: null });
+});
+
+test('an admin uploads a store, and it is kept on disk', async () => {
+  const { body } = await call(adminKey, 'GET', '/api/store');
+  assert.equal(body.version, 0);
+  const changes = diffShared(body.store, toShared(demoStore())).map(c=>({ ...c, rev: 0 }));
+  const res = await push(adminKey, changes);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.version, 1);
+  const saved = JSON.parse(readFileSync(join(dir, 'store.json'), 'utf8'));
+  assert.deepEqual(saved.store.teachers.map(t=>t.name), ['Alice', 'Bob', 'Carol']);
+  assert.deepEqual((await call(adminKey, 'GET', '/api/teachers/2')).body, { key: '2', rev: 1, value: saved.store.teachers[1] });
+});
+
+test('an edit from an old revision is a conflict', async () => {
+  const { body: bob } = await call(adminKey, 'GET', '/api/teachers/2');
+  assert.equal((await call(adminKey, 'PUT', '/api/teachers/2', { value: { ...bob.value, maxPerDay: 6 }, rev: bob.rev })).status, 200);
+  const res = await call(adminKey, 'PUT', '/api/teachers/2', { value: { ...bob.value, maxPerDay: 3 }, rev: bob.rev });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.conflicts[0].value.maxPerDay, 6);
+  assert.equal(res.body.conflicts[0].who, 'Sam');
+  // the same edit twice is no conflict
+  assert.equal((await call(adminKey, 'PUT', '/api/teachers/2', { value: { ...bob.value, maxPerDay: 6 }, rev: bob.rev })).status, 200);
+});
+
+test('a batch is taken whole or not at all, and must leave valid data', async () => {
+  const { body: before } = await call(adminKey, 'GET', '/api/store');
+  const res = await push(adminKey, [
+    { kind: 'rooms', key: '1', value: { ...before.store.rooms[0], capacity: 40 }, rev: 1 },
+    { kind: 'classes', key: '1', value: null, rev: 1 }
+  ]);
+  assert.equal(res.status, 422);
+  assert.match(res.body.errors[0], /refers to class 1/);
+  assert.equal((await call(adminKey, 'GET', '/api/rooms/1')).body.value.capacity, 30);
+});
+
+test('malformed changes are refused, not a server error', async () => {
+  const teacherKey = addUser(dir, { name: 'Carol', role: 'teacher', teacherCode: 'T-C' });
+  const cover = await push(teacherKey, [{ kind: 'covers', key: 'x', value: { date: '2026-09-07', period: 0 }, rev: 0 }]);
+  assert.equal(cover.status, 400);
+  assert.equal((await push(teacherKey, [null])).status, 400);
+  assert.equal((await push(adminKey, [{ kind: 'teachers', key: '1', value: [1, 2], rev: 1 }])).status, 400);
+  assert.equal((await push(adminKey, [{ kind: 'toString', key: '[object Object]', value: {}, rev: 0 }])).status, 400);
+});
+
+test('teachers change only their own availability', async () => {
+  const key = addUser(dir, { name: 'Bob', role: 'teacher', teacherCode: 'T-B' });
+  const { body: own } = await call(key, 'GET', '/api/availability/2-0-0');
+  assert.equal((await call(key, 'PUT', '/api/availability/2-0-0', { value: { ...own.value, available: false }, rev: own.rev })).status, 200);
+  const alice = { teacherId: 1, day: 0, period: 1, available: false };
+  assert.equal((await call(key, 'PUT', '/api/availability/1-0-1', { value: alice, rev: 1 })).status, 403);
+  assert.equal((await call(key, 'DELETE', '/api/teachers/1?rev=1')).status, 403);
+  assert.throws(() => addUser(dir, { name: 'Zed', role: 'teacher', teacherCode: 'NOPE' }), /no teacher with code/);
+});
+
+test('editors catch up from the change log', async () => {
+  const { body } = await call(adminKey, 'GET', '/api/changes?since=1');
+  assert.ok(body.version > 1);
+  assert.deepEqual(body.changes.map(c=>`${c.who}: ${c.kind}/${c.key}`), ['Sam: teachers/2', 'Sam: teachers/2', 'Bob: availability/2-0-0']);
+  assert.deepEqual((await call(adminKey, 'GET', `/api/changes?since=${body.version}`)).body.changes, []);
+  assert.equal((await call(adminKey, 'POST', '/api/changes', { schemaVersion: SCHEMA_VERSION - 1, changes: [] })).body.reload, true);
+});
+
+test('teachers see only their own availability, absences and covers, and not who edited', async () => {
+  const absence = (id, teacherId) => ({ id, teacherId, date: '2026-09-07', periods: [0] });
+  const cover = { date: '2026-09-07', period: 0, absentId: 1, teacherId: 3, classIds: [1], subjectId: 1 };
+  assert.equal((await push(adminKey, [
+    { kind: 'absences', key: '1', value: absence(1, 1), rev: 0 },
+    { kind: 'absences', key: '2', value: absence(2, 2), rev: 0 },
+    { kind: 'covers', key: '2026-09-07-0-1-1', value: cover, rev: 0 }
+  ])).status, 200);
+  const key = addUser(dir, { name: 'Bobby', role: 'teacher', teacherCode: 'T-B' });
+  const { body } = await call(key, 'GET', '/api/store');
+  assert.ok(body.store.availability.length && body.store.availability.every(a=>a.teacherId===2));
+  assert.deepEqual(body.store.absences, [absence(2, 2)]);
+  assert.deepEqual(body.store.covers, []);
+  assert.equal(body.store.teachers.length, 3);
+  assert.ok(Object.keys(body.revs).every(id=>!id.startsWith('availability/') || id.startsWith('availability/2-')));
+  assert.ok(!('absences/1' in body.revs));
+  assert.equal((await call(key, 'GET', '/api/availability/1-0-0')).status, 404);
+  assert.deepEqual((await call(key, 'GET', '/api/absences')).body.items.map(x=>x.key), ['2']);
+  const { body: log } = await call(key, 'GET', `/api/changes?since=${body.version - 1}`);
+  assert.deepEqual(log.changes.map(c=>`${c.who}: ${c.kind}/${c.key}`), ['null: absences/2']);
+  // the teacher covering sees the cover, and not deleting it
+  const carol = addUser(dir, { name: 'Carol', role: 'teacher', teacherCode: 'T-C' });
+  assert.equal((await call(carol, 'GET', '/api/covers')).body.items.length, 1);
+  assert.equal((await call(adminKey, 'DELETE', `/api/covers/2026-09-07-0-1-1?rev=${body.version}`)).status, 200);
+  assert.deepEqual((await call(key, 'GET', `/api/changes?since=${body.version}`)).body.changes, []);
+  assert.equal((await call(carol, 'GET', `/api/changes?since=${body.version}`)).body.changes[0].value, null);
+});
+
+test('the app itself is served, and nothing else', async () => {
+  assert.equal((await fetch(`${base}/`)).status, 200);
+  assert.match((await fetch(`${base}/sync.js`)).headers.get('content-type'), /javascript/);
+  assert.equal((await fetch(`${base}/package.json`)).status, 404);
+  assert.equal((await fetch(`${base}/..%2Fpackage.json`)).status, 404);
+});
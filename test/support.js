@@ -0,0 +1,194 @@
+/* Test support: an independent check of the hard constraints, and generated stores bigger than the demo */
+
+import { isTeachingSlot, cycleDays, cycleWeeks, weekOf, lunchIndex, defaultBell } from '../scheduler.js';
+import { blankStore, ensureAvailability } from '../model.js';
+
+// Every hard rule a generated timetable breaks, as readable strings; [] when it keeps them all.
+// Written from the rules as the app states them, not from the solver's own bookkeeping.
+export function hardViolations(data, rows){
+  const cfg = data.cfg, problems = [];
+  const bad = (text) => problems.push(text);
+  const teacher = new Map(data.teachers.map(t=>[t.id, t]));
+  const room = new Map((data.rooms || []).map(r=>[r.id, r]));
+  const slot = (r) => `${r.day}-${r.period}`;
+  const where = (r) => `day ${r.day} period ${r.period}`;
+  // the session a row belongs to: a block number is shared by all rows of one lesson
+  const session = (r) => r.block!=null ? `b${r.block}` : `c${r.classId}-${slot(r)}`;
+  const count = (map, k, n = 1) => map.set(k, (map.get(k) || 0) + n);
+
+  // each part of each load (a parallel group, or the whole load), by every class sitting in it
+  const loadParts = data.loads.flatMap(l => (l.groups?.length ? l.groups.map(g=>({ name: g.name, subjectId: g.subjectId || l.subjectId }))
+    : [{ name: null, subjectId: l.subjectId }]).map(part => ({ l, part })));
+  const loadOf = new Map();
+  for (const x of loadParts) for (const id of [x.l.classId, ...(x.l.combineWith || [])]) loadOf.set(`${id}-${x.part.subjectId}-${x.part.name ?? ''}`, x);
+
+  const classAt = new Map(), teacherAt = new Map(), roomAt = new Map();
+  const teacherDay = new Map(), teacherWeek = new Map(), periods = new Map(), sessionsPerDay = new Map();
+  const sessionLens = new Map(); // `${class}-${subject}-${group}-${week}` -> [length of each session]
+  const seenSession = new Map();
+  for (const r of rows){
+    const t = teacher.get(r.teacherId);
+    const found = loadOf.get(`${r.classId}-${r.subjectId}-${r.group ?? ''}`);
+    if (!t){ bad(`unknown teacher ${r.teacherId}`); continue; }
+    if (!found){ bad(`class ${r.classId} has no load for subject ${r.subjectId}${r.group ? ` group ${r.group}` : ''}`); continue; }
+    const { l } = found;
+    if (r.day >= cycleDays(cfg) || !isTeachingSlot(cfg, r.day, r.period)) bad(`lesson outside the teaching periods at ${where(r)}`);
+
+    // class: one lesson per period, except parallel groups of one session
+    const ck = `${r.classId}-${slot(r)}`;
+    if (!classAt.has(ck)) classAt.set(ck, []);
+    const here = classAt.get(ck);
+    if (here.some(x => session(x)!==session(r) || !r.group || x.group===r.group)) bad(`class ${r.classId} has two lessons at ${where(r)}`);
+    here.push(r);
+
+    // teacher: one session per period (combined classes share it), available, qualified
+    const tk = `${r.teacherId}-${slot(r)}`;
+    const other = teacherAt.get(tk);
+    if (other!=null && other!==`${session(r)}-${r.group ?? ''}`) bad(`${t.name} is double-booked at ${where(r)}`);
+    const firstTime = other==null;
+    teacherAt.set(tk, `${session(r)}-${r.group ?? ''}`);
+    const a = data.availability.find(a=>a.teacherId===r.teacherId && a.day===r.day && a.period===r.period);
+    if (!a?.available) bad(`${t.name} is not available at ${where(r)}`);
+    if (!data.canTeach.some(x=>x.teacherId===r.teacherId && x.subjectId===r.subjectId)) bad(`${t.name} cannot teach subject ${r.subjectId}`);
+    if (firstTime){
+      count(teacherDay, `${r.teacherId}-${r.day}`);
+      count(teacherWeek, `${r.teacherId}-${weekOf(cfg, r.day)}`);
+    }
+
+    // room: of the subject's type, big enough, open, and holding one session at a time
+    if (data.rooms?.length){
+      const rm = room.get(r.roomId);
+      const type = data.subjects.find(s=>s.id===r.subjectId)?.roomType || 'classroom';
+      const size = (id) => data.classes.find(c=>c.id===id)?.size || 0;
+      const pupils = l.groups?.length ? Math.ceil(size(l.classId) / l.groups.length) : [l.classId, ...(l.combineWith || [])].reduce((n, id)=>n + size(id), 0);
+      if (!rm) bad(`class ${r.classId} has no room at ${where(r)}`);
+      else {
+        if (rm.type!==type) bad(`${rm.name} is not a ${type} (${where(r)})`);
+        if (rm.capacity && rm.capacity < pupils) bad(`${rm.name} is too small for ${pupils} pupils`);
+        if (data.roomAvailability.some(x=>x.roomId===rm.id && x.day===r.day && x.period===r.period && !x.available)) bad(`${rm.name} is closed at ${where(r)}`);
+        const rk = `${rm.id}-${slot(r)}`;
+        if (roomAt.has(rk) && roomAt.get(rk)!==`${session(r)}-${r.group ?? ''}`) bad(`${rm.name} is double-booked at ${where(r)}`);
+        roomAt.set(rk, `${session(r)}-${r.group ?? ''}`);
+      }
+    }
+
+    // placement rules of the load
+    if (l.allowedPeriods?.length && !l.allowedPeriods.includes(r.period)) bad(`class ${r.classId} subject ${l.subjectId} outside its allowed periods`);
+    if (l.forbiddenPeriods?.includes(r.period)) bad(`class ${r.classId} subject ${l.subjectId} in a forbidden period`);
+    if (l.notAfterLunch && lunchIndex(cfg)!=null && r.period > lunchIndex(cfg)) bad(`class ${r.classId} subject ${l.subjectId} after lunch`);
+
+    // periods and sessions per class, subject and group
+    const week = l.perCycle ? 'cycle' : weekOf(cfg, r.day);
+    const key = `${r.classId}-${r.subjectId}-${r.group ?? ''}`;
+    count(periods, `${key}-${week}`);
+    const sk = `${key}-${session(r)}`;
+    if (!seenSession.has(sk)){
+      seenSession.set(sk, `${key}-${week}`);
+      count(sessionsPerDay, `${r.classId}-${l.subjectId}-${r.group ?? ''}-${r.day}`);
+    }
+    count(sessionLens, sk);
+  }
+
+  for (const [k, n] of teacherDay){
+    const t = teacher.get(+k.split('-')[0]);
+    if (n > t.maxPerDay) bad(`${t.name} teaches ${n} periods on day ${k.split('-')[1]} (max ${t.maxPerDay})`);
+  }
+  for (const [k, n] of teacherWeek){
+    const t = teacher.get(+k.split('-')[0]);
+    if (n > t.maxPerWeek) bad(`${t.name} teaches ${n} periods in week ${k.split('-')[1]} (max ${t.maxPerWeek})`);
+  }
+
+  // every load gets its periods, in its blocks: every week, or over the whole cycle when given per cycle
+  const lens = new Map();
+  for (const [sk, n] of sessionLens){
+    const k = seenSession.get(sk);
+    if (!lens.has(k)) lens.set(k, []);
+    lens.get(k).push(n);
+  }
+  const weeks = Array.from({ length: cycleWeeks(cfg) }, (_, w) => w);
+  for (const { l, part } of loadParts){
+    for (const classId of [l.classId, ...(l.combineWith || [])]){
+      const key = `${classId}-${part.subjectId}-${part.name ?? ''}`;
+      for (const week of l.perCycle ? ['cycle'] : weeks){
+        const got = periods.get(`${key}-${week}`) || 0;
+        if (got!==l.ppw) bad(`class ${classId} subject ${part.subjectId}${part.name ? ` group ${part.name}` : ''} has ${got} periods in ${week==='cycle' ? 'the cycle' : `week ${week}`}, not ${l.ppw}`);
+        const blocks = (l.blocks?.length ? l.blocks : Array(l.ppw).fill(1)).slice().sort().join('+');
+        const placed = (lens.get(`${key}-${week}`) || []).sort().join('+');
+        if (got===l.ppw && placed!==blocks) bad(`class ${classId} subject ${part.subjectId} has sessions ${placed}, not ${blocks}`);
+      }
+      if (l.maxPerDay) for (let d=0; d<cycleDays(cfg); d++){
+        const n = sessionsPerDay.get(`${classId}-${l.subjectId}-${part.name ?? ''}-${d}`) || 0;
+        if (n > l.maxPerDay) bad(`class ${classId} subject ${l.subjectId} has ${n} sessions on day ${d} (max ${l.maxPerDay})`);
+      }
+    }
+  }
+
+  // pinned lessons are where they were pinned, with their teacher
+  for (const pin of data.pins || []){
+    for (let p=pin.period; p<pin.period + (pin.len || 1); p++){
+      const ok = rows.some(r=>r.classId===pin.classId && r.day===pin.day && r.period===p
+        && (pin.teacherIds || [pin.teacherId]).includes(r.teacherId) && (r.subjectId===pin.subjectId || r.group));
+      if (!ok) bad(`pinned lesson of class ${pin.classId} at day ${pin.day} period ${p} moved`);
+    }
+  }
+  return problems;
+}
+
+// Small seeded PRNG, so a fixture is the same on every run
+function random(seed){
+  return () => { seed = (seed + 0x6D2B79F5) | 0; let t = Math.imul(seed ^ seed >>> 15, 1 | seed); t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t; return ((t ^ t >>> 14) >>> 0) / 4294967296; };
+}
+
+// A school of `classes` classes with eight subjects, a lunch break, rooms of three types and, with `rules`,
+// every kind of load rule: blocks, max per day, forbidden periods, not after lunch, combined classes,
+// parallel groups and a pinned lesson. About one period in twelve is marked unavailable per teacher.
+export function generatedStore({ classes = 6, days = 5, weeks = 1, seed = 1, rules = true } = {}){
+  const rand = random(seed);
+  const data = blankStore(new Date('2026-09-07T12:00:00Z'));
+  data.cfg = { periods: 8, days, bell: defaultBell(8, 4), weekStart: '2026-09-07' };
+  if (weeks > 1) data.cfg.weeks = weeks;
+  const subjects = [['Mathematics','MATH',''], ['English','ENG',''], ['Science','SCI','lab'], ['History','HIST',''],
+    ['Geography','GEO',''], ['Sport','PE','gym'], ['French','FR',''], ['German','DE','']];
+  data.subjects = subjects.map(([name, code, roomType], i) => ({ id: i+1, name, code, roomType }));
+  data.classes = Array.from({ length: classes }, (_, i) => ({ id: i+1, name: `Class ${i+1}`, size: 20 + Math.floor(rand() * 10) }));
+  // two teachers per subject for every three classes, each also able to teach the next subject
+  const perSubject = Math.max(2, Math.ceil(classes * 2 / 3));
+  data.teachers = [];
+  data.canTeach = [];
+  data.subjects.forEach((s, si) => {
+    for (let k=0; k<perSubject; k++){
+      const id = data.teachers.length + 1;
+      data.teachers.push({ id, name: `${s.code} teacher ${k+1}`, code: `${s.code}${k+1}`, maxPerDay: 6, maxPerWeek: 24, avoidConsec: k % 2===0 });
+      data.canTeach.push({ teacherId: id, subjectId: s.id }, { teacherId: id, subjectId: data.subjects[(si+1) % subjects.length].id, priority: 3 });
+    }
+  });
+  data.rooms = [
+    ...Array.from({ length: classes }, (_, i) => ({ id: i+1, name: `Room ${i+1}`, code: `R${i+1}`, type: 'classroom', capacity: 32 })),
+    { id: classes+1, name: 'Lab 1', code: 'LAB1', type: 'lab', capacity: 30 },
+    { id: classes+2, name: 'Lab 2', code: 'LAB2', type: 'lab', capacity: 30 },
+    { id: classes+3, name: 'Gym', code: 'GYM', type: 'gym', capacity: 70 }
+  ];
+  // 5 + 4 + 3 + 2 + 2 + 2 + 2 (French or German, in parallel groups) = 20 of the 35 teaching periods a week
+  for (const c of data.classes){
+    data.loads.push({ classId: c.id, subjectId: 1, ppw: 5 }, { classId: c.id, subjectId: 2, ppw: 4 },
+      { classId: c.id, subjectId: 3, ppw: 3, ...(rules ? { blocks: [2,1], maxPerDay: 1 } : {}) },
+      { classId: c.id, subjectId: 4, ppw: 2 }, { classId: c.id, subjectId: 5, ppw: 2 });
+    if (!rules || c.id % 2===1) data.loads.push({ classId: c.id, subjectId: 6, ppw: 2,
+      ...(rules && c.id < classes ? { combineWith: [c.id + 1], forbiddenPeriods: [0] } : {}) });
+    data.loads.push(rules ? { classId: c.id, subjectId: 7, ppw: 2, groups: [{ name: 'French', subjectId: 7 }, { name: 'German', subjectId: 8 }] }
+      : { classId: c.id, subjectId: 7, ppw: 2 });
+  }
+  if (rules){
+    data.loads[0].notAfterLunch = true;
+    if (weeks > 1) data.loads[1].perCycle = true;
+    data.roomAvailability.push({ roomId: classes+3, day: 0, period: 0, available: false });
+  }
+  for (const t of data.teachers) ensureAvailability(data, t.id);
+  for (const a of data.availability) if (rand() < 1/12) a.available = false;
+  if (rules){
+    // Class 1 has Mathematics first thing on day 2 with its first teacher
+    for (const a of data.availability) if (a.teacherId===1 && a.day===1 && a.period===0) a.available = true;
+    data.pins.push({ classId: 1, day: 1, period: 0, subjectId: 1, teacherId: 1, roomId: null });
+  }
+  return data;
+}
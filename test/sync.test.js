@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { toShared, fromShared, diffShared, applyChanges, renumber, allowedChange, canonical, describeChange } from '../sync.js';
+import { validateStore } from '../schema.js';
+import { demoStore } from '../model.js';
+
+// The demo data with two terms: Autumn (open, the demo loads) and Spring (one load of its own)
+function twoTerms(){
+  const data = demoStore();
+  data.terms = [{ id: 1, name: 'Autumn', start: '2026-09-01', end: '2026-12-18' },
+    { id: 2, name: 'Spring', start: '2027-01-05', end: '2027-03-30', loads: [{ classId: 1, subjectId: 1, ppw: 5 }], pins: [] }];
+  data.activeTerm = 1;
+  return data;
+}
+
+test('the shared form keeps every term\'s loads, and opens any term again', () => {
+  const data = twoTerms();
+  assert.deepEqual(validateStore(data), []);
+  const shared = toShared(data);
+  assert.equal(shared.activeTerm, undefined);
+  assert.equal(shared.loads.length, 7);
+  assert.ok(shared.loads.every(l=>l.termId===1 || l.termId===2));
+  assert.ok(shared.terms.every(t=>!t.loads && !t.pins));
+  assert.deepEqual(fromShared(shared, 1), { ...data, activeTimetable: null });
+  const spring = fromShared(shared, 2);
+  assert.deepEqual(spring.loads, [{ classId: 1, subjectId: 1, ppw: 5 }]);
+  assert.equal(spring.terms[0].loads.length, 6);
+  assert.deepEqual(validateStore(spring), []);
+  assert.deepEqual(diffShared(toShared(spring), shared), []);
+});
+
+test('changes found by diffShared turn one store into the other', () => {
+  const before = toShared(twoTerms()), after = structuredClone(before);
+  after.teachers[0].maxPerDay = 6;
+  after.teachers.push({ id: 4, name: 'Dave', code: 'T-D', maxPerDay: 4, maxPerWeek: 18, avoidConsec: false });
+  after.canTeach = after.canTeach.filter(x=>x.teacherId!==3);
+  after.cfg.weekStart = '2026-09-07';
+  const changes = diffShared(before, after);
+  assert.deepEqual(changes.map(c=>`${c.kind}/${c.key}${c.value ? '' : ' deleted'}`).sort(),
+    ['canTeach/3-3 deleted', 'settings/cfg', 'teachers/1', 'teachers/4']);
+  assert.equal(canonical(applyChanges(before, changes)), canonical(after));
+});
+
+// The app escapes names where it shows them; sync itself must carry them exactly as typed
+test('names with markup characters arrive unchanged', () => {
+  const name = '<img src=x onerror="alert(1)"> & Co \'s';
+  const before = toShared(demoStore()), after = structuredClone(before);
+  after.teachers[0].name = name;
+  const changes = JSON.parse(JSON.stringify(diffShared(before, after)));
+  const shared = applyChanges(before, changes);
+  assert.equal(fromShared(shared).teachers[0].name, name);
+  assert.equal(describeChange(shared, changes[0]), `teacher ${name}`);
+});
+
+test('key order does not count as a change', () => {
+  const a = toShared(demoStore()), b = structuredClone(a);
+  b.teachers[0] = { avoidConsec: true, maxPerWeek: 18, maxPerDay: 4, code: 'T-A', name: 'Alice', id: 1 };
+  assert.deepEqual(diffShared(a, b), []);
+});
+
+test('renumbering moves an entity and what refers to it, except what is kept', () => {
+  const shared = toShared(demoStore());
+  const keep = (kind, x) => kind==='canTeach' && x.subjectId===3;
+  renumber(shared, 'teachers', 1, 9, keep);
+  assert.deepEqual(shared.teachers.map(t=>t.id), [9, 2, 3]);
+  assert.deepEqual(shared.canTeach.filter(x=>x.subjectId!==2).map(x=>x.teacherId), [9, 1, 2, 3]);
+  assert.ok(shared.availability.every(a=>a.teacherId!==1));
+  renumber(shared, 'classes', 2, 5);
+  assert.deepEqual(shared.loads.map(l=>l.classId), [1, 1, 1, 5, 5, 5]);
+});
+
+test('teachers may change only their own availability', () => {
+  const admin = { role: 'admin' }, bob = { role: 'teacher', teacherId: 2 };
+  const own = { teacherId: 2, day: 0, period: 0, available: true };
+  const change = (kind, value) => ({ kind, key: 'k', value });
+  assert.ok(allowedChange(admin, change('teachers', { id: 1 }), null));
+  assert.ok(allowedChange(bob, change('availability', { ...own, available: false }), own));
+  assert.ok(!allowedChange(bob, change('availability', { ...own, teacherId: 1 }), { ...own, teacherId: 1 }));
+  assert.ok(!allowedChange(bob, change('availability', own), { ...own, teacherId: 1 }));
+  assert.ok(!allowedChange(bob, change('teachers', { id: 2, name: 'Robert' }), { id: 2, name: 'Bob' }));
+  assert.ok(!allowedChange({ role: 'guest' }, change('availability', own), own));
+});
@@ -0,0 +1,12 @@
+/* Module Web Worker: runs the scheduler off the UI thread (see generateSchedule in app.js) */
+import { solveSchedule } from './scheduler.js';
+
+onmessage = (e) => {
+  const { data, opts } = e.data;
+  try {
+    const result = solveSchedule(data, opts, (p) => postMessage({ type:'progress', ...p }));
+    postMessage({ type:'done', result });
+  } catch (err) {
+    postMessage({ type:'error', message: err.message || String(err), report: err.report || null });
+  }
+};